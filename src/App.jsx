@@ -1,52 +1,622 @@
-import { useState } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import Sidebar from './components/Sidebar';
 import WelcomeScreen from './components/WelcomeScreen';
 import ChatInput from './components/ChatInput';
 import MessageList from './components/MessageList';
 import WorkflowGraph from './components/WorkflowGraph';
-import { sendMessage } from './services/agentApi';
-import { X, ChevronLeft, ChevronRight } from 'lucide-react';
+import WorkflowImportDialog from './components/WorkflowImportDialog';
+import ProjectDialog from './components/ProjectDialog';
+import SettingsDialog from './components/SettingsDialog';
+import UsageSummary from './components/UsageSummary';
+import ToolsDialog from './components/ToolsDialog';
+import { streamMessage } from './services/agentApi';
+import { toErrorInfo } from './services/apiErrors';
+import {
+  listConversations,
+  getConversation,
+  saveConversation,
+  toConversationRecord,
+  deleteConversation,
+  renameConversation,
+  deriveTitle,
+  collectPrompts,
+  getActiveConversationId,
+  setActiveConversationId
+} from './services/conversationStore';
+import {
+  listProjects,
+  saveProject,
+  deleteProject,
+  createProject,
+  getProjectChatOptions
+} from './services/projectStore';
+import { getSettings, saveSettings } from './services/settings';
+import { readWaveFile, fileLabel } from './lib/waveImport';
+import { forkAt, switchBranch } from './lib/branches';
+import { mockToolResults } from './lib/tools';
+import { checkStructuredOutput } from './lib/jsonSchema';
+import { createId, cn } from './lib/utils';
+import { X, ChevronLeft, ChevronRight, FileCode, Upload, FlaskConical, CircleDot } from 'lucide-react';
 import './index.css';
 
+// Tool calls answered from mocks in a row before the user has to step in,
+// so a model that keeps calling tools can't loop forever
+const MAX_AUTO_TOOL_ROUNDS = 5;
+
 function App() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [messages, setMessages] = useState([]);
+  // Inactive branches of the thread, see lib/branches.js
+  const [branches, setBranches] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [workflow, setWorkflow] = useState(null);
+  const [workflowMessageId, setWorkflowMessageId] = useState(null);
+  // Models a prompt is sent to side by side; null when compare mode is off
+  const [compareModelIds, setCompareModelIds] = useState(null);
+  // { name, schema } replies must match while structured output is on
+  const [responseSchema, setResponseSchema] = useState(null);
+  // Names a wave that didn't come from a response (edited, imported...)
+  const [workflowLabel, setWorkflowLabel] = useState(null);
+  const [importDialog, setImportDialog] = useState(null);
+  const [isDraggingWorkflow, setIsDraggingWorkflow] = useState(false);
+  const [compareWithId, setCompareWithId] = useState(null);
   const [workflowPanelOpen, setWorkflowPanelOpen] = useState(false);
 
-  const handleSendMessage = async (content, modelId) => {
-    // Add user message
-    const userMessage = { role: 'user', content };
+  const [modelId, setModelId] = useState(null);
+  // Models loaded by the chat input, also offered by Regenerate
+  const [models, setModels] = useState([]);
+  const [conversation, setConversation] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [activeProjectId, setActiveProjectId] = useState(null);
+  const [editingProject, setEditingProject] = useState(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [toolsOpen, setToolsOpen] = useState(false);
+  const [settingsVersion, setSettingsVersion] = useState(0);
+
+  const abortControllerRef = useRef(null);
+
+  const refreshConversations = async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  };
+
+  const refreshProjects = async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error('Error loading projects:', error);
+    }
+  };
+
+  // Reopen the thread that was active before the reload
+  useEffect(() => {
+    const restore = async () => {
+      await Promise.all([refreshConversations(), refreshProjects()]);
+      const activeId = getActiveConversationId();
+      if (!activeId) return;
+      try {
+        const saved = await getConversation(activeId);
+        if (saved) {
+          loadConversation(saved);
+        }
+      } catch (error) {
+        console.error('Error restoring conversation:', error);
+      }
+    };
+    restore();
+  }, []);
+
+  // Save the active thread when a message is added and again when it
+  // settles; the updates for each streamed token in between are skipped
+  const threadShape = messages.map(msg => msg.id).join(',');
+  const savedShapeRef = useRef(null);
+  useEffect(() => {
+    if (!conversation || messages.length === 0) return;
+    if (isLoading && savedShapeRef.current === threadShape) return;
+    savedShapeRef.current = threadShape;
+    saveConversation(toConversationRecord(conversation, { messages, branches, workflow, workflowMessageId, workflowLabel, modelId }))
+      .then(refreshConversations)
+      .catch(error => console.error('Error saving conversation:', error));
+  }, [conversation, messages, branches, workflow, workflowMessageId, workflowLabel, modelId, isLoading, threadShape]);
+
+  // Leaving a thread mid-stream aborts the answer; save what it has so far
+  // before the thread is replaced
+  const saveInterruptedConversation = () => {
+    if (!isLoading || !conversation || messages.length === 0) return;
+    saveConversation(toConversationRecord(conversation, { messages, branches, workflow, workflowMessageId, workflowLabel, modelId }))
+      .then(refreshConversations)
+      .catch(error => console.error('Error saving conversation:', error));
+  };
+
+  const loadConversation = (saved) => {
+    setConversation({ id: saved.id, title: saved.title, createdAt: saved.createdAt, projectId: saved.projectId || null });
+    setActiveProjectId(saved.projectId || null);
+    setMessages(saved.messages || []);
+    setBranches(saved.branches || {});
+    setWorkflow(saved.workflow || null);
+    setWorkflowMessageId(saved.workflowMessageId || null);
+    setWorkflowLabel(saved.workflowLabel || null);
+    setCompareWithId(null);
+    setWorkflowPanelOpen(false);
+    // Threads saved before the model was stored fall back to the last one used
+    const savedModelId = saved.modelId || (saved.messages || []).findLast(msg => msg.model)?.model;
+    if (savedModelId) {
+      setModelId(savedModelId);
+    }
+    setActiveConversationId(saved.id);
+  };
+
+  // Start a fresh thread, optionally inside a project whose defaults it inherits
+  const handleNewChat = (projectId = null) => {
+    saveInterruptedConversation();
+    clearThread(projectId);
+  };
+
+  const clearThread = (projectId = null) => {
+    abortControllerRef.current?.abort();
+    setConversation(null);
+    setMessages([]);
+    setBranches({});
+    setWorkflow(null);
+    setWorkflowMessageId(null);
+    setWorkflowLabel(null);
+    setCompareWithId(null);
+    setWorkflowPanelOpen(false);
+    setActiveConversationId(null);
+    setActiveProjectId(projectId);
+
+    const project = projects.find(p => p.id === projectId);
+    if (project?.defaultModelId) {
+      setModelId(project.defaultModelId);
+    }
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (id === conversation?.id) return;
+    saveInterruptedConversation();
+    abortControllerRef.current?.abort();
+    try {
+      const saved = await getConversation(id);
+      if (saved) {
+        loadConversation(saved);
+      }
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    try {
+      await renameConversation(id, title);
+      if (id === conversation?.id) {
+        setConversation(prev => ({ ...prev, title }));
+      }
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    try {
+      await deleteConversation(id);
+      if (id === conversation?.id) {
+        // Not handleNewChat: a stream cut off here must not save it back
+        clearThread();
+      }
+      await refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  const handleSaveProject = async (project) => {
+    const saved = { ...project, id: project.id || createId() };
+    try {
+      await saveProject(saved);
+      await refreshProjects();
+      setEditingProject(null);
+      // A newly created project opens straight into a chat that uses it
+      if (!project.id) {
+        handleNewChat(saved.id);
+      }
+    } catch (error) {
+      console.error('Error saving project:', error);
+    }
+  };
+
+  const handleDeleteProject = async (id) => {
+    try {
+      await deleteProject(id);
+      // Conversations outlive their project and fall back to no shared defaults
+      await Promise.all(
+        conversations
+          .filter(c => c.projectId === id)
+          .map(c => saveConversation({ ...c, projectId: null }))
+      );
+      if (activeProjectId === id) {
+        setActiveProjectId(null);
+        setConversation(prev => (prev ? { ...prev, projectId: null } : prev));
+      }
+      await Promise.all([refreshProjects(), refreshConversations()]);
+    } catch (error) {
+      console.error('Error deleting project:', error);
+    }
+  };
+
+  const handleSaveSettings = (settings) => {
+    saveSettings(settings);
+    setSettingsOpen(false);
+    // The backend may have changed, so reload anything fetched from it
+    setSettingsVersion(prev => prev + 1);
+  };
+
+  const handleSaveTools = (changes) => {
+    saveSettings({ ...getSettings(), ...changes });
+    setToolsOpen(false);
+    setSettingsVersion(prev => prev + 1);
+  };
+
+  const activeProject = projects.find(p => p.id === activeProjectId) || null;
+  // Re-read on every render; settingsVersion bumps when Settings are saved
+  const { backendMode, modelPrices, tools } = getSettings();
+
+  // Prompts from every thread, including turns of this one not saved yet
+  const promptHistory = useMemo(
+    () => collectPrompts(conversations, conversation ? { ...conversation, messages } : null),
+    [conversations, conversation, messages]
+  );
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...changes } : msg)));
+  };
+
+  // The first prompt of a fresh chat starts a new persisted thread
+  const startConversationIfNeeded = (content, attachments) => {
+    if (conversation) return;
+    const created = {
+      id: createId(),
+      title: deriveTitle(content.trim() || attachments[0]?.name),
+      createdAt: Date.now(),
+      projectId: activeProjectId
+    };
+    setConversation(created);
+    setActiveConversationId(created.id);
+  };
+
+  const handleSendMessage = async (content, selectedModelId, attachments = []) => {
+    if (compareModelIds) {
+      await handleSendComparison(content, compareModelIds, attachments);
+      return;
+    }
+
+    startConversationIfNeeded(content, attachments);
+    setModelId(selectedModelId);
+
+    const userMessage = { id: createId(), role: 'user', content, model: selectedModelId, createdAt: Date.now() };
+    if (attachments.length > 0) {
+      userMessage.attachments = attachments;
+    }
+    if (responseSchema) {
+      userMessage.responseSchema = responseSchema;
+    }
     setMessages(prev => [...prev, userMessage]);
+    await streamReply(userMessage, messages);
+  };
+
+  // Resend the prompt behind a failed answer, replacing the failed answer.
+  // The new answer keeps the failed one's id so branches still point at it.
+  // An answer that followed tool results is asked for again the same way.
+  const handleRetry = async (messageId) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    const previous = messages[index - 1];
+    if (isLoading || index < 1) return;
+
+    if (previous.role === 'user') {
+      setMessages(prev => prev.filter(msg => msg.id !== messageId));
+      await streamReply(previous, messages.slice(0, index - 1), { assistantId: messageId });
+    } else if (previous.toolCalls) {
+      setMessages(prev => prev.filter(msg => msg.id !== messageId));
+      await streamReply(null, messages.slice(0, index), { model: previous.model, assistantId: messageId });
+    }
+  };
+
+  // Attach results ({ [callId]: text }) to the tool calls of a message in
+  // `thread` and let the model continue from them
+  const sendToolResults = async (thread, messageId, results, toolRound = 0) => {
+    const updated = thread.map(msg => (
+      msg.id === messageId
+        ? { ...msg, toolCalls: msg.toolCalls.map(call => ({ ...call, result: results[call.id] ?? call.result })) }
+        : msg
+    ));
+    const message = updated.find(msg => msg.id === messageId);
+    updateMessage(messageId, { toolCalls: message.toolCalls });
+    await streamReply(null, updated, { model: message.model, toolRound });
+  };
+
+  const handleToolResults = async (messageId, results) => {
+    if (isLoading) return;
+    await sendToolResults(messages, messageId, results);
+  };
+
+  // Send an edited copy of a user message as a new branch; the original and
+  // everything after it stay reachable through the branch switcher
+  const handleEditMessage = async (messageId, content) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (isLoading || index === -1) return;
+
+    const editedMessage = { ...messages[index], id: createId(), content, createdAt: Date.now() };
+    const fork = forkAt(messages, branches, index, editedMessage.id);
+    setBranches(fork.branches);
+    setMessages([...fork.messages, editedMessage]);
+    await streamReply(editedMessage, fork.messages);
+  };
+
+  // Answer the same prompt again as a new branch, optionally with another model
+  const handleRegenerate = async (messageId, model) => {
+    const index = messages.findIndex(msg => msg.id === messageId);
+    const userMessage = messages[index - 1];
+    if (isLoading || index < 1 || userMessage.role !== 'user') return;
+
+    const assistantId = createId();
+    const fork = forkAt(messages, branches, index, assistantId);
+    setBranches(fork.branches);
+    setMessages(fork.messages);
+    await streamReply(userMessage, fork.messages.slice(0, -1), { model, assistantId });
+  };
+
+  const handleSwitchBranch = (index, targetId) => {
+    if (isLoading) return;
+    const next = switchBranch(messages, branches, index, targetId);
+    setMessages(next.messages);
+    setBranches(next.branches);
+  };
+
+  // Stream the answer to userMessage into a new assistant message. `history`
+  // is the thread before userMessage. Without a userMessage the model
+  // continues `history`, which ends with answered tool calls. A prompt's
+  // responseSchema applies to its answer and to any continuation of it.
+  const streamReply = async (userMessage, history, { model = userMessage?.model, assistantId = createId(), toolRound = 0 } = {}) => {
+    setMessages(prev => [
+      ...prev,
+      { id: assistantId, role: 'assistant', content: '', model, streaming: true }
+    ]);
 
     // Show loading state
     setIsLoading(true);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const startedAt = performance.now();
+    let firstTokenMs = null;
+    const timing = () => ({ latencyMs: Math.round(performance.now() - startedAt), firstTokenMs });
+    let reply = null;
+    const { responseSchema: schema } = userMessage || history.findLast(msg => msg.role === 'user') || {};
 
     try {
-      // Call API
-      const response = await sendMessage(content, modelId);
-      setMessages(prev => [...prev, response]);
+      // Call API, with prior turns so the model has context for follow-up questions
+      const response = await streamMessage(userMessage ? userMessage.content : null, model, {
+        ...getProjectChatOptions(activeProject),
+        history,
+        attachments: userMessage?.attachments || [],
+        responseSchema: schema,
+        signal: controller.signal,
+        onRetry: (retry) => updateMessage(assistantId, { retrying: retry }),
+        onUpdate: (partial) => {
+          if (firstTokenMs === null && partial) {
+            firstTokenMs = Math.round(performance.now() - startedAt);
+          }
+          updateMessage(assistantId, { content: partial, retrying: null });
+        }
+      });
+      reply = { id: assistantId, model, ...response, ...timing(), streaming: false, retrying: null, createdAt: Date.now() };
+      // Answers that only call tools have nothing to check yet
+      if (schema && !response.toolCalls) {
+        reply.schemaCheck = checkStructuredOutput(response.content, schema);
+      }
+      updateMessage(assistantId, reply);
 
       // Check if response contains workflow data
       if (response.workflow && response.workflow.length > 0) {
         setWorkflow(response.workflow);
+        setWorkflowMessageId(assistantId);
         setWorkflowPanelOpen(true);
       }
     } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages(prev => [
-        ...prev,
-        {
-          role: 'assistant',
-          content: 'Sorry, there was an error processing your request.'
+      if (error.name === 'AbortError') {
+        // Keep whatever was generated before the user hit Stop
+        updateMessage(assistantId, { ...timing(), streaming: false, stopped: true, retrying: null, network: error.network, createdAt: Date.now() });
+      } else {
+        console.error('Error sending message:', error);
+        // Anything streamed before the failure stays above the error
+        updateMessage(assistantId, {
+          error: toErrorInfo(error),
+          ...timing(),
+          streaming: false,
+          retrying: null,
+          network: error.network,
+          createdAt: Date.now()
+        });
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsLoading(false);
+    }
+
+    // Answer tool calls from the mocks and continue, when Tools asks for it
+    const settings = getSettings();
+    if (reply?.toolCalls && settings.autoRespondTools && toolRound < MAX_AUTO_TOOL_ROUNDS) {
+      const results = mockToolResults(reply.toolCalls, settings.tools);
+      if (results) {
+        const thread = userMessage ? [...history, userMessage, reply] : [...history, reply];
+        await sendToolResults(thread, assistantId, results, toolRound + 1);
+      }
+    }
+  };
+
+  // Send one prompt to several models at once. The answers share a single
+  // assistant message whose `comparison` holds one column per model.
+  const handleSendComparison = async (content, modelIds, attachments) => {
+    startConversationIfNeeded(content, attachments);
+
+    const userMessage = { id: createId(), role: 'user', content, model: null, compareModels: modelIds, createdAt: Date.now() };
+    if (attachments.length > 0) {
+      userMessage.attachments = attachments;
+    }
+    if (responseSchema) {
+      userMessage.responseSchema = responseSchema;
+    }
+    const comparisonId = createId();
+    setMessages(prev => [
+      ...prev,
+      userMessage,
+      {
+        id: comparisonId,
+        role: 'assistant',
+        content: '',
+        comparison: modelIds.map(model => ({ model, content: '', streaming: true }))
+      }
+    ]);
+
+    setIsLoading(true);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const updateColumn = (model, changes) => {
+      setMessages(prev => prev.map(msg => (
+        msg.id === comparisonId
+          ? { ...msg, comparison: msg.comparison.map(column => (column.model === model ? { ...column, ...changes } : column)) }
+          : msg
+      )));
+    };
+
+    const runModel = async (model) => {
+      const startedAt = performance.now();
+      let firstTokenMs = null;
+      try {
+        const response = await streamMessage(content, model, {
+          ...getProjectChatOptions(activeProject),
+          history: messages,
+          attachments,
+          responseSchema,
+          signal: controller.signal,
+          onRetry: (retry) => updateColumn(model, { retrying: retry }),
+          onUpdate: (partial) => {
+            if (firstTokenMs === null && partial) {
+              firstTokenMs = Math.round(performance.now() - startedAt);
+            }
+            updateColumn(model, { content: partial, retrying: null });
+          }
+        });
+        updateColumn(model, {
+          content: response.content,
+          workflow: response.workflow,
+          toolCalls: response.toolCalls,
+          schemaCheck: responseSchema && !response.toolCalls ? checkStructuredOutput(response.content, responseSchema) : undefined,
+          usage: response.usage,
+          network: response.network,
+          streaming: false,
+          retrying: null,
+          latencyMs: Math.round(performance.now() - startedAt),
+          firstTokenMs
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          updateColumn(model, {
+            streaming: false,
+            stopped: true,
+            retrying: null,
+            network: error.network,
+            latencyMs: Math.round(performance.now() - startedAt),
+            firstTokenMs
+          });
+        } else {
+          console.error(`Error comparing ${model}:`, error);
+          updateColumn(model, {
+            error: toErrorInfo(error),
+            streaming: false,
+            retrying: null,
+            network: error.network,
+            latencyMs: Math.round(performance.now() - startedAt)
+          });
         }
-      ]);
+      }
+    };
+
+    try {
+      await Promise.all(modelIds.map(runModel));
     } finally {
+      updateMessage(comparisonId, { createdAt: Date.now() });
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
+  // Every wave returned in this thread, oldest first
+  const workflowVersions = messages
+    .filter(msg => msg.role === 'assistant' && msg.workflow?.length > 0)
+    .map((msg, index) => ({ id: msg.id, label: `v${index + 1}`, wave: msg.workflow, createdAt: msg.createdAt }));
+  const currentVersion = workflowVersions.find(version => version.id === workflowMessageId);
+  const baselineVersion = compareWithId !== workflowMessageId
+    ? workflowVersions.find(version => version.id === compareWithId)
+    : null;
+
+  // Show the wave an earlier (or later) response came with
+  const handleViewWorkflow = (messageId) => {
+    const version = workflowVersions.find(v => v.id === messageId);
+    if (!version) return;
+    setWorkflow(version.wave);
+    setWorkflowMessageId(version.id);
+    setWorkflowPanelOpen(true);
+  };
+
+  // Show a wave that doesn't belong to any response in this thread
+  const showDetachedWorkflow = (wave, label) => {
+    setWorkflow(wave);
+    setWorkflowMessageId(null);
+    setWorkflowLabel(label);
+    setCompareWithId(null);
+    setWorkflowPanelOpen(true);
+  };
+
+  // Edits saved on the canvas no longer match any response's wave
+  const handleSaveWorkflow = (wave) => {
+    showDetachedWorkflow(wave, 'Edited');
+  };
+
+  const handleImportWorkflow = (wave, label) => {
+    showDetachedWorkflow(wave, label);
+    setImportDialog(null);
+  };
+
+  const handleWorkflowDrop = async (e) => {
+    e.preventDefault();
+    setIsDraggingWorkflow(false);
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    try {
+      handleImportWorkflow(await readWaveFile(file), fileLabel(file));
+    } catch (error) {
+      // Reopen the import dialog so the problem is visible
+      setImportDialog({ error: `${file.name}: ${error.message}` });
+    }
+  };
+
+  const workflowTitle = currentVersion ? currentVersion.label : workflowLabel || 'Edited';
+
+  // Hand a workflow edited on the canvas back to the model
+  const handleSendWorkflow = (wave) => {
+    if (isLoading) return;
+    handleSendMessage(`Here is the corrected workflow:\n\n\`\`\`json\n${JSON.stringify(wave, null, 2)}\n\`\`\``, modelId);
+  };
+
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const toggleSidebar = () => {
     setSidebarOpen(prev => !prev);
   };
@@ -62,7 +632,23 @@ function App() {
   return (
     <div className="flex h-screen bg-background text-foreground overflow-hidden">
       {/* Sidebar */}
-      <Sidebar isOpen={sidebarOpen} toggleSidebar={toggleSidebar} />
+      <Sidebar
+        isOpen={sidebarOpen}
+        toggleSidebar={toggleSidebar}
+        conversations={conversations}
+        activeConversationId={conversation?.id}
+        onNewChat={handleNewChat}
+        projects={projects}
+        activeProjectId={activeProjectId}
+        onSelectProject={handleNewChat}
+        onCreateProject={() => setEditingProject(createProject())}
+        onEditProject={(project) => setEditingProject(project)}
+        onDeleteProject={handleDeleteProject}
+        onOpenSettings={() => setSettingsOpen(true)}
+        onSelectConversation={handleSelectConversation}
+        onRenameConversation={handleRenameConversation}
+        onDeleteConversation={handleDeleteConversation}
+      />
 
       {/* Main Content */}
       <div
@@ -75,34 +661,143 @@ function App() {
             {messages.length === 0 ? (
               <WelcomeScreen />
             ) : (
-              <MessageList messages={messages} isLoading={isLoading} />
+              <MessageList
+                messages={messages}
+                activeWorkflowMessageId={workflowPanelOpen ? workflowMessageId : null}
+                onViewWorkflow={handleViewWorkflow}
+                onViewComparisonWorkflow={(column) => showDetachedWorkflow(column.workflow, column.model)}
+                onRetry={isLoading ? null : handleRetry}
+                branches={branches}
+                modelPrices={modelPrices}
+                models={models}
+                tools={tools}
+                onToolResults={isLoading ? null : handleToolResults}
+                onEditMessage={isLoading ? null : handleEditMessage}
+                onRegenerate={isLoading ? null : handleRegenerate}
+                onSwitchBranch={isLoading ? null : handleSwitchBranch}
+              />
             )}
           </div>
 
           {/* Input Area */}
           <div className="flex-shrink-0 p-6 border-t border-border/50">
-            <ChatInput onSendMessage={handleSendMessage} disabled={isLoading} />
+            {(activeProject || backendMode !== 'live' || messages.some(msg => msg.role === 'assistant')) && (
+              <div className="w-full max-w-3xl mx-auto mb-2 flex items-center gap-2">
+                {activeProject && (
+                  <button
+                    onClick={() => setEditingProject(activeProject)}
+                    className="inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-lg bg-secondary text-muted-foreground hover:text-foreground transition-colors"
+                  >
+                    <FileCode className="w-3 h-3" />
+                    {activeProject.name}
+                  </button>
+                )}
+                {backendMode !== 'live' && (
+                  <button
+                    onClick={() => setSettingsOpen(true)}
+                    className="inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-lg bg-amber-500/15 text-amber-400 hover:bg-amber-500/25 transition-colors"
+                    title="Change the backend mode in Settings"
+                  >
+                    {backendMode === 'mock' ? <FlaskConical className="w-3 h-3" /> : <CircleDot className="w-3 h-3" />}
+                    {backendMode === 'mock' ? 'Mock backend' : 'Recording fixtures'}
+                  </button>
+                )}
+                <UsageSummary messages={messages} prices={modelPrices} onEditPrices={() => setSettingsOpen(true)} />
+              </div>
+            )}
+            <ChatInput
+              onSendMessage={handleSendMessage}
+              onStop={handleStopGeneration}
+              modelId={modelId}
+              onModelChange={setModelId}
+              onModelsLoaded={setModels}
+              modelsVersion={settingsVersion}
+              onImportWorkflow={() => setImportDialog({})}
+              onOpenTools={() => setToolsOpen(true)}
+              enabledToolCount={tools.filter(tool => tool.enabled).length}
+              responseSchema={responseSchema}
+              onResponseSchemaChange={setResponseSchema}
+              promptHistory={promptHistory}
+              compareModelIds={compareModelIds}
+              onCompareModelsChange={setCompareModelIds}
+              disabled={isLoading}
+              isStreaming={isLoading}
+            />
           </div>
         </div>
 
         {/* Workflow Panel */}
         {workflowPanelOpen && (
-          <div className="w-1/2 border-l border-border/50 flex flex-col bg-background">
+          <div
+            className="relative w-1/2 border-l border-border/50 flex flex-col bg-background"
+            onDragOver={(e) => {
+              if (!e.dataTransfer.types.includes('Files')) return;
+              e.preventDefault();
+              setIsDraggingWorkflow(true);
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) {
+                setIsDraggingWorkflow(false);
+              }
+            }}
+            onDrop={handleWorkflowDrop}
+          >
+            {/* Drop overlay for wave files */}
+            <div
+              className={cn(
+                'absolute inset-0 z-20 flex flex-col items-center justify-center gap-2 bg-background/80 border-2 border-dashed border-primary text-primary pointer-events-none transition-opacity',
+                isDraggingWorkflow ? 'opacity-100' : 'opacity-0'
+              )}
+            >
+              <Upload className="w-8 h-8" />
+              <span className="text-sm font-semibold">Drop a wave JSON file to open it</span>
+            </div>
+
             {/* Panel Header */}
             <div className="flex items-center justify-between p-4 border-b border-border/50">
-              <h2 className="text-lg font-semibold">Workflow Visualization</h2>
-              <button
-                onClick={closeWorkflowPanel}
-                className="p-1 hover:bg-secondary rounded transition-colors"
-                aria-label="Close workflow panel"
-              >
-                <X className="w-5 h-5" />
-              </button>
+              <div className="flex items-center gap-2 min-w-0">
+                <h2 className="text-lg font-semibold">Workflow Visualization</h2>
+                <span className="px-1.5 py-0.5 text-xs rounded bg-secondary text-muted-foreground">
+                  {workflowTitle}
+                </span>
+              </div>
+              <div className="flex items-center gap-2">
+                {workflowVersions.some(version => version.id !== workflowMessageId) && (
+                  <select
+                    value={baselineVersion?.id || ''}
+                    onChange={(e) => setCompareWithId(e.target.value || null)}
+                    className="bg-secondary border border-border rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary/50"
+                    aria-label="Compare with another version"
+                  >
+                    <option value="">Compare with…</option>
+                    {workflowVersions
+                      .filter(version => version.id !== workflowMessageId)
+                      .map(version => (
+                        <option key={version.id} value={version.id}>
+                          {version.label}{version.createdAt ? ` · ${new Date(version.createdAt).toLocaleTimeString()}` : ''}
+                        </option>
+                      ))}
+                  </select>
+                )}
+                <button
+                  onClick={closeWorkflowPanel}
+                  className="p-1 hover:bg-secondary rounded transition-colors"
+                  aria-label="Close workflow panel"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
             </div>
 
             {/* Workflow Graph */}
             <div className="flex-1 overflow-hidden">
-              <WorkflowGraph workflow={workflow} />
+              <WorkflowGraph
+                workflow={workflow}
+                baseline={baselineVersion}
+                exportName={`workflow-${workflowTitle.replace(/[^\w.-]+/g, '-').toLowerCase()}`}
+                onChange={handleSaveWorkflow}
+                onSend={handleSendWorkflow}
+              />
             </div>
           </div>
         )}
@@ -118,6 +813,43 @@ function App() {
           </button>
         )}
       </div>
+
+      {/* Project Settings */}
+      {editingProject && (
+        <ProjectDialog
+          project={editingProject}
+          onSave={handleSaveProject}
+          onClose={() => setEditingProject(null)}
+        />
+      )}
+
+      {/* Workflow Import */}
+      {importDialog && (
+        <WorkflowImportDialog
+          initialError={importDialog.error}
+          onImport={handleImportWorkflow}
+          onClose={() => setImportDialog(null)}
+        />
+      )}
+
+      {/* Tools */}
+      {toolsOpen && (
+        <ToolsDialog
+          tools={tools}
+          autoRespond={getSettings().autoRespondTools}
+          onSave={handleSaveTools}
+          onClose={() => setToolsOpen(false)}
+        />
+      )}
+
+      {/* Settings */}
+      {settingsOpen && (
+        <SettingsDialog
+          settings={getSettings()}
+          onSave={handleSaveSettings}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
     </div>
   );
 }
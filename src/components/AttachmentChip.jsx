@@ -0,0 +1,35 @@
+import { FileText, X } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { attachmentDataUrl, formatBytes } from '../lib/attachments';
+
+// File chip for the chat input (removable) and for sent user messages
+export default function AttachmentChip({ attachment, onRemove, className }) {
+    return (
+        <div
+            className={cn('inline-flex items-center gap-2 max-w-[16rem] pl-1 pr-2 py-1 rounded-lg bg-secondary border border-border text-xs', className)}
+            title={`${attachment.name} · ${formatBytes(attachment.size)}`}
+        >
+            {attachment.kind === 'image' ? (
+                <img src={attachmentDataUrl(attachment)} alt="" className="w-8 h-8 rounded object-cover flex-shrink-0" />
+            ) : (
+                <div className="w-8 h-8 rounded bg-background flex items-center justify-center flex-shrink-0">
+                    <FileText className="w-4 h-4 text-muted-foreground" />
+                </div>
+            )}
+            <div className="min-w-0">
+                <div className="truncate text-foreground">{attachment.name}</div>
+                <div className="text-muted-foreground">{formatBytes(attachment.size)}</div>
+            </div>
+            {onRemove && (
+                <button
+                    type="button"
+                    onClick={onRemove}
+                    className="p-0.5 rounded hover:bg-background transition-colors"
+                    aria-label={`Remove ${attachment.name}`}
+                >
+                    <X className="w-3 h-3 text-muted-foreground" />
+                </button>
+            )}
+        </div>
+    );
+}
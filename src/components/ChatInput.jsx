@@ -1,30 +1,72 @@
-import { useState, useRef, useEffect } from 'react';
-import { Send, Plus, ChevronDown, Clock, Check } from 'lucide-react';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { Send, Plus, Clock, Square, Paperclip, Workflow, Columns2, Wrench } from 'lucide-react';
 import { cn } from '../lib/utils';
-import { getModels } from '../services/agentApi';
+import { readAttachment, createTextAttachment, LARGE_PASTE_CHARS } from '../lib/attachments';
+import { fetchModels } from '../services/agentApi';
+import AttachmentChip from './AttachmentChip';
+import PromptHistory from './PromptHistory';
+import ModelSelector from './ModelSelector';
+import StructuredOutputMenu from './StructuredOutputMenu';
 
-export default function ChatInput({ onSendMessage, disabled }) {
+// Compare mode sends one prompt to this many models at most
+const MAX_COMPARE_MODELS = 4;
+
+export default function ChatInput({ onSendMessage, onStop, disabled, isStreaming, modelId, onModelChange, onModelsLoaded, modelsVersion, onImportWorkflow, onOpenTools, enabledToolCount = 0, responseSchema = null, onResponseSchemaChange, promptHistory = [], compareModelIds = null, onCompareModelsChange }) {
     const [message, setMessage] = useState('');
     const [models, setModels] = useState([]);
-    const [selectedModel, setSelectedModel] = useState(null);
-    const [isModelDropdownOpen, setIsModelDropdownOpen] = useState(false);
+    // 'loading' | 'ready' | 'error', with modelsError explaining the failure
+    const [modelsStatus, setModelsStatus] = useState('loading');
+    const [modelsError, setModelsError] = useState(null);
+    const [modelsReload, setModelsReload] = useState(0);
+    const [isAttachMenuOpen, setIsAttachMenuOpen] = useState(false);
+    const [attachments, setAttachments] = useState([]);
+    const [attachmentError, setAttachmentError] = useState(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    // Position in recentPrompts while cycling with ArrowUp/ArrowDown, -1 when not
+    const [recallIndex, setRecallIndex] = useState(-1);
     const textareaRef = useRef(null);
-    const dropdownRef = useRef(null);
+    const attachMenuRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const historyRef = useRef(null);
+
+    // Distinct prompt texts, newest first, for shell-style recall
+    const recentPrompts = useMemo(() => [...new Set(promptHistory.map(prompt => prompt.content))], [promptHistory]);
 
     useEffect(() => {
-        const fetchModels = async () => {
+        let cancelled = false;
+        const loadModels = async () => {
             try {
-                const data = await getModels();
+                const data = await fetchModels();
+                if (cancelled) return;
                 setModels(data);
-                if (data.length > 0) {
-                    setSelectedModel(data[0]);
-                }
+                onModelsLoaded?.(data);
+                setModelsStatus('ready');
+                setModelsError(null);
             } catch (error) {
                 console.error('Failed to fetch models:', error);
+                if (cancelled) return;
+                setModelsStatus('error');
+                setModelsError([error.message, error.detail].filter(Boolean).join(': '));
             }
         };
-        fetchModels();
-    }, []);
+        loadModels();
+        return () => {
+            cancelled = true;
+        };
+    }, [modelsVersion, modelsReload, onModelsLoaded]);
+
+    const reloadModels = () => {
+        setModelsStatus('loading');
+        setModelsReload(prev => prev + 1);
+    };
+
+    // The conversation's model when it is still offered, otherwise the first
+    // one that isn't deprecated
+    const selectedModel = models.find(model => model.id === modelId)
+        || models.find(model => !model.deprecated)
+        || models[0]
+        || null;
 
     useEffect(() => {
         if (textareaRef.current) {
@@ -35,8 +77,11 @@ export default function ChatInput({ onSendMessage, disabled }) {
 
     useEffect(() => {
         const handleClickOutside = (event) => {
-            if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
-                setIsModelDropdownOpen(false);
+            if (attachMenuRef.current && !attachMenuRef.current.contains(event.target)) {
+                setIsAttachMenuOpen(false);
+            }
+            if (historyRef.current && !historyRef.current.contains(event.target)) {
+                setIsHistoryOpen(false);
             }
         };
 
@@ -44,33 +89,147 @@ export default function ChatInput({ onSendMessage, disabled }) {
         return () => document.removeEventListener('mousedown', handleClickOutside);
     }, []);
 
+    const addFiles = async (files) => {
+        const results = await Promise.allSettled([...files].map(readAttachment));
+        const added = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        const failed = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+        setAttachments(prev => [...prev, ...added]);
+        setAttachmentError(failed.length > 0 ? failed.join('; ') : null);
+    };
+
+    const removeAttachment = (id) => {
+        setAttachments(prev => prev.filter(attachment => attachment.id !== id));
+    };
+
+    // Pasted files become attachments, and so does very long pasted text,
+    // which would otherwise swamp the auto-resizing textarea
+    const handlePaste = (e) => {
+        if (e.clipboardData.files.length > 0) {
+            e.preventDefault();
+            addFiles(e.clipboardData.files);
+            return;
+        }
+        const text = e.clipboardData.getData('text/plain');
+        if (text.length > LARGE_PASTE_CHARS) {
+            e.preventDefault();
+            setAttachments(prev => [...prev, createTextAttachment(`pasted-${prev.length + 1}.txt`, text)]);
+        }
+    };
+
+    const isComparing = Boolean(compareModelIds);
+    const compareReady = !isComparing || compareModelIds.length >= 2;
+    const canSend = Boolean(message.trim() || attachments.length > 0) && compareReady && !disabled;
+
+    const toggleCompareMode = () => {
+        onCompareModelsChange?.(isComparing ? null : selectedModel ? [selectedModel.id] : []);
+    };
+
+    const toggleCompareModel = (id) => {
+        if (compareModelIds.includes(id)) {
+            onCompareModelsChange?.(compareModelIds.filter(modelId => modelId !== id));
+        } else if (compareModelIds.length < MAX_COMPARE_MODELS) {
+            onCompareModelsChange?.([...compareModelIds, id]);
+        }
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (message.trim() && !disabled) {
-            onSendMessage(message, selectedModel?.id);
+        if (canSend) {
+            onSendMessage(message, selectedModel?.id, attachments);
             setMessage('');
+            setRecallIndex(-1);
+            setAttachments([]);
+            setAttachmentError(null);
             if (textareaRef.current) {
                 textareaRef.current.style.height = 'auto';
             }
         }
     };
 
+    const recallPrompt = (index) => {
+        setRecallIndex(index);
+        setMessage(index >= 0 ? recentPrompts[index] : '');
+    };
+
     const handleKeyDown = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
             handleSubmit(e);
+            return;
+        }
+
+        // ArrowUp in an empty input starts cycling through recent prompts;
+        // it keeps cycling while the recalled text is left unedited
+        const recalling = recallIndex >= 0 && message === recentPrompts[recallIndex];
+        if (e.key === 'ArrowUp' && (message === '' || recalling)) {
+            const next = recalling ? recallIndex + 1 : 0;
+            if (next < recentPrompts.length) {
+                e.preventDefault();
+                recallPrompt(next);
+            }
+        } else if (e.key === 'ArrowDown' && recalling) {
+            e.preventDefault();
+            recallPrompt(recallIndex - 1);
         }
     };
 
+    const selectHistoryPrompt = (content) => {
+        setMessage(content);
+        setRecallIndex(-1);
+        setIsHistoryOpen(false);
+        textareaRef.current?.focus();
+    };
+
     return (
         <div className="w-full max-w-3xl mx-auto">
-            <form onSubmit={handleSubmit} className="relative">
-                <div className="relative bg-card border border-border rounded-2xl shadow-lg">
+            <form
+                onSubmit={handleSubmit}
+                onDragOver={(e) => {
+                    if (!e.dataTransfer.types.includes('Files')) return;
+                    e.preventDefault();
+                    setIsDragging(true);
+                }}
+                onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) {
+                        setIsDragging(false);
+                    }
+                }}
+                onDrop={(e) => {
+                    if (e.dataTransfer.files.length === 0) return;
+                    e.preventDefault();
+                    setIsDragging(false);
+                    addFiles(e.dataTransfer.files);
+                }}
+                className="relative"
+            >
+                <div
+                    className={cn(
+                        'relative bg-card border rounded-2xl shadow-lg transition-colors',
+                        isDragging ? 'border-primary border-dashed' : 'border-border'
+                    )}
+                >
+                    {/* Attachments */}
+                    {attachments.length > 0 && (
+                        <div className="flex flex-wrap gap-2 px-4 pt-3">
+                            {attachments.map(attachment => (
+                                <AttachmentChip
+                                    key={attachment.id}
+                                    attachment={attachment}
+                                    onRemove={() => removeAttachment(attachment.id)}
+                                />
+                            ))}
+                        </div>
+                    )}
+                    {attachmentError && (
+                        <div className="px-6 pt-2 text-xs text-red-400">{attachmentError}</div>
+                    )}
+
                     <textarea
                         ref={textareaRef}
                         value={message}
                         onChange={(e) => setMessage(e.target.value)}
                         onKeyDown={handleKeyDown}
+                        onPaste={handlePaste}
                         placeholder="How can I help you today?"
                         disabled={disabled}
                         rows={1}
@@ -80,77 +239,153 @@ export default function ChatInput({ onSendMessage, disabled }) {
                     {/* Bottom toolbar */}
                     <div className="flex items-center justify-between px-4 pb-3">
                         <div className="flex items-center gap-2">
-                            <button
-                                type="button"
-                                className="p-1.5 rounded-lg hover:bg-secondary transition-colors"
-                            >
-                                <Plus className="w-4 h-4 text-muted-foreground" />
-                            </button>
-                            <button
-                                type="button"
-                                className="p-1.5 rounded-lg hover:bg-secondary transition-colors"
-                            >
-                                <Clock className="w-4 h-4 text-muted-foreground" />
-                            </button>
-                        </div>
-
-                        <div className="flex items-center gap-3">
-                            {/* Model Selector */}
-                            <div className="relative" ref={dropdownRef}>
+                            <div className="relative" ref={attachMenuRef}>
                                 <button
                                     type="button"
-                                    onClick={() => setIsModelDropdownOpen(!isModelDropdownOpen)}
-                                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                                    onClick={() => setIsAttachMenuOpen(!isAttachMenuOpen)}
+                                    className="p-1.5 rounded-lg hover:bg-secondary transition-colors"
+                                    aria-label="Attach files or import a workflow"
                                 >
-                                    <span className="text-xs text-foreground">
-                                        {selectedModel ? selectedModel.name : 'Loading...'}
-                                    </span>
-                                    <ChevronDown className="w-3 h-3 text-muted-foreground" />
+                                    <Plus className="w-4 h-4 text-muted-foreground" />
                                 </button>
 
-                                {/* Dropdown Menu */}
-                                {isModelDropdownOpen && (
-                                    <div className="absolute bottom-full mb-2 right-0 w-48 bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
+                                {isAttachMenuOpen && (
+                                    <div className="absolute bottom-full mb-2 left-0 w-52 bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
                                         <div className="p-1">
-                                            {models.map((model) => (
+                                            <button
+                                                type="button"
+                                                onClick={() => {
+                                                    fileInputRef.current?.click();
+                                                    setIsAttachMenuOpen(false);
+                                                }}
+                                                className="w-full flex items-center gap-2 px-3 py-2 text-sm rounded-md text-muted-foreground hover:bg-secondary/50 hover:text-foreground transition-colors"
+                                            >
+                                                <Paperclip className="w-4 h-4" />
+                                                Attach files
+                                            </button>
+                                            {onImportWorkflow && (
                                                 <button
-                                                    key={model.id}
                                                     type="button"
                                                     onClick={() => {
-                                                        setSelectedModel(model);
-                                                        setIsModelDropdownOpen(false);
+                                                        onImportWorkflow();
+                                                        setIsAttachMenuOpen(false);
                                                     }}
-                                                    className={cn(
-                                                        "w-full flex items-center justify-between px-3 py-2 text-sm rounded-md transition-colors",
-                                                        selectedModel?.id === model.id
-                                                            ? "bg-secondary text-foreground"
-                                                            : "text-muted-foreground hover:bg-secondary/50 hover:text-foreground"
-                                                    )}
+                                                    className="w-full flex items-center gap-2 px-3 py-2 text-sm rounded-md text-muted-foreground hover:bg-secondary/50 hover:text-foreground transition-colors"
                                                 >
-                                                    {model.name}
-                                                    {selectedModel?.id === model.id && (
-                                                        <Check className="w-3 h-3 text-primary" />
-                                                    )}
+                                                    <Workflow className="w-4 h-4" />
+                                                    Import workflow JSON
                                                 </button>
-                                            ))}
+                                            )}
                                         </div>
                                     </div>
                                 )}
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    multiple
+                                    accept="text/*,image/*,.json,.csv,.tsv,.md,.yaml,.yml,.xml,.log"
+                                    onChange={(e) => {
+                                        addFiles(e.target.files);
+                                        e.target.value = '';
+                                    }}
+                                    className="hidden"
+                                />
                             </div>
+                            <div className="relative" ref={historyRef}>
+                                <button
+                                    type="button"
+                                    onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+                                    className={cn('p-1.5 rounded-lg hover:bg-secondary transition-colors', isHistoryOpen && 'bg-secondary')}
+                                    aria-label="Prompt history"
+                                    title="Prompt history (↑ in an empty input recalls recent prompts)"
+                                >
+                                    <Clock className="w-4 h-4 text-muted-foreground" />
+                                </button>
 
-                            {/* Send Button */}
+                                {isHistoryOpen && (
+                                    <PromptHistory prompts={promptHistory} onSelect={selectHistoryPrompt} />
+                                )}
+                            </div>
+                            {onOpenTools && (
+                                <button
+                                    type="button"
+                                    onClick={onOpenTools}
+                                    className={cn(
+                                        'flex items-center gap-1 p-1.5 rounded-lg transition-colors',
+                                        enabledToolCount > 0
+                                            ? 'bg-primary/20 text-primary'
+                                            : 'text-muted-foreground hover:bg-secondary hover:text-foreground'
+                                    )}
+                                    aria-label="Tools"
+                                    title={enabledToolCount > 0 ? `${enabledToolCount} tool${enabledToolCount === 1 ? '' : 's'} sent with prompts` : 'Define tools for function calling'}
+                                >
+                                    <Wrench className="w-4 h-4" />
+                                    {enabledToolCount > 0 && <span className="text-xs">{enabledToolCount}</span>}
+                                </button>
+                            )}
+                            {onResponseSchemaChange && (
+                                <StructuredOutputMenu value={responseSchema} onChange={onResponseSchemaChange} />
+                            )}
+                        </div>
+
+                        <div className="flex items-center gap-3">
+                            {isComparing && !compareReady && (
+                                <span className="text-xs text-muted-foreground">Pick at least 2 models</span>
+                            )}
+
+                            {/* Compare Mode Toggle */}
                             <button
-                                type="submit"
-                                disabled={!message.trim() || disabled}
+                                type="button"
+                                onClick={toggleCompareMode}
                                 className={cn(
-                                    'p-2 rounded-lg transition-all',
-                                    message.trim() && !disabled
-                                        ? 'bg-primary text-primary-foreground hover:opacity-90'
-                                        : 'bg-secondary text-muted-foreground cursor-not-allowed'
+                                    'p-1.5 rounded-lg transition-colors',
+                                    isComparing
+                                        ? 'bg-primary/20 text-primary'
+                                        : 'text-muted-foreground hover:bg-secondary hover:text-foreground'
                                 )}
+                                title={isComparing ? 'Stop comparing models' : 'Compare models side by side'}
+                                aria-pressed={isComparing}
                             >
-                                <Send className="w-4 h-4" />
+                                <Columns2 className="w-4 h-4" />
                             </button>
+
+                            {/* Model Selector */}
+                            <ModelSelector
+                                models={models}
+                                status={modelsStatus}
+                                error={modelsError}
+                                onReload={reloadModels}
+                                selectedIds={isComparing ? compareModelIds : selectedModel ? [selectedModel.id] : []}
+                                onSelect={(id) => (isComparing ? toggleCompareModel(id) : onModelChange?.(id))}
+                                multiple={isComparing}
+                                maxSelected={MAX_COMPARE_MODELS}
+                                hint={isComparing ? `Compare up to ${MAX_COMPARE_MODELS} models` : null}
+                            />
+
+                            {/* Send / Stop Button */}
+                            {isStreaming && onStop ? (
+                                <button
+                                    type="button"
+                                    onClick={onStop}
+                                    className="p-2 rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all"
+                                    aria-label="Stop generating"
+                                >
+                                    <Square className="w-4 h-4 fill-current" />
+                                </button>
+                            ) : (
+                                <button
+                                    type="submit"
+                                    disabled={!canSend}
+                                    className={cn(
+                                        'p-2 rounded-lg transition-all',
+                                        canSend
+                                            ? 'bg-primary text-primary-foreground hover:opacity-90'
+                                            : 'bg-secondary text-muted-foreground cursor-not-allowed'
+                                    )}
+                                >
+                                    <Send className="w-4 h-4" />
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
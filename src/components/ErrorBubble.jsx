@@ -0,0 +1,53 @@
+import { AlertTriangle, WifiOff, Clock, FileWarning, RotateCcw } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+function describe(error) {
+    switch (error.kind) {
+        case 'network':
+            return { icon: WifiOff, title: 'Network error' };
+        case 'http':
+            return {
+                icon: AlertTriangle,
+                title: error.status === 429 ? `Rate limited (${error.message})` : error.message
+            };
+        case 'timeout':
+            return { icon: Clock, title: 'Request timed out' };
+        case 'parse':
+            return { icon: FileWarning, title: 'Unreadable response' };
+        default:
+            return { icon: AlertTriangle, title: 'Request failed' };
+    }
+}
+
+// The real cause of a failed request, as saved by toErrorInfo(), with an
+// optional Retry button
+export default function ErrorBubble({ error, onRetry, className }) {
+    const { icon: Icon, title } = describe(error);
+    // The message itself is the title for HTTP errors; elsewhere it explains
+    const explanation = error.kind === 'http' ? null : error.message;
+
+    return (
+        <div className={cn('flex items-start gap-3 p-3 rounded-lg border border-red-500/30 bg-red-500/10 text-sm', className)}>
+            <Icon className="w-4 h-4 mt-0.5 flex-shrink-0 text-red-400" />
+            <div className="flex-1 min-w-0 space-y-1">
+                <div className="font-medium text-red-400">{title}</div>
+                {explanation && <div className="text-foreground/80">{explanation}</div>}
+                {error.detail && (
+                    <div className="font-mono text-xs text-muted-foreground whitespace-pre-wrap break-words">{error.detail}</div>
+                )}
+                {error.attempts > 1 && (
+                    <div className="text-xs text-muted-foreground">Failed after {error.attempts} attempts</div>
+                )}
+            </div>
+            {onRetry && (
+                <button
+                    onClick={onRetry}
+                    className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary text-foreground hover:bg-secondary/80 transition-colors"
+                >
+                    <RotateCcw className="w-3 h-3" />
+                    Retry
+                </button>
+            )}
+        </div>
+    );
+}
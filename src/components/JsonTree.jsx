@@ -0,0 +1,257 @@
+import { useState, useMemo } from 'react';
+import { ChevronRight, ChevronsDownUp, ChevronsUpDown, Search, Link, Copy, Check } from 'lucide-react';
+import { cn } from '../lib/utils';
+import {
+    isContainer,
+    embeddedJson,
+    childEntries,
+    typeLabel,
+    searchJson,
+    ROOT_SEGMENTS,
+    childSegments,
+    segmentsKey
+} from '../lib/jsonTree';
+
+// Levels open when a tree is first shown
+const DEFAULT_DEPTH = 2;
+// Children rendered per "Show more" step, so huge arrays stay responsive
+const PAGE_SIZE = 100;
+
+const SCALAR_COLORS = {
+    string: 'text-[#ce9178]',
+    number: 'text-[#b5cea8]',
+    boolean: 'text-[#569cd6]',
+    null: 'text-[#569cd6]'
+};
+
+// `text` with every occurrence of `query` marked
+function Highlight({ text, query }) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return text;
+
+    const parts = [];
+    const lower = text.toLowerCase();
+    let start = 0;
+    let index = lower.indexOf(needle);
+    while (index !== -1) {
+        parts.push(text.slice(start, index));
+        parts.push(<mark key={index} className="bg-amber-400/40 text-inherit rounded-sm">{text.slice(index, index + needle.length)}</mark>);
+        start = index + needle.length;
+        index = lower.indexOf(needle, start);
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+function RowButton({ label, done, icon, onClick }) {
+    return (
+        <button
+            type="button"
+            onClick={onClick}
+            className="p-0.5 rounded text-muted-foreground hover:text-foreground hover:bg-white/10 transition-colors"
+            title={label}
+            aria-label={label}
+        >
+            {done ? <Check className="w-3 h-3 text-green-400" /> : icon}
+        </button>
+    );
+}
+
+// `segments` locate the node, see lib/jsonTree.js
+function JsonNode({ name, value, segments, depth, tree }) {
+    const [limit, setLimit] = useState(PAGE_SIZE);
+    const nodeKey = segmentsKey(segments);
+    // Below a JSON string, the path that can be copied is the one inside
+    // that string; the strings around it are named in the tooltip
+    const jsonPath = segments[segments.length - 1];
+    const pathLabel = segments.length > 1
+        ? `Copy path ${jsonPath} within the JSON string at ${segments.slice(0, -1).join(' › ')}`
+        : `Copy path ${jsonPath}`;
+    const embedded = embeddedJson(value);
+    const container = embedded || (isContainer(value) ? value : null);
+    const open = container ? tree.isOpen(nodeKey, depth, Boolean(embedded)) : false;
+    const matched = tree.search.matches.has(nodeKey);
+    const type = value === null ? 'null' : typeof value;
+
+    const entries = open ? childEntries(container) : [];
+    // Don't page away the rows a search is pointing at
+    const visible = tree.search.ancestors.has(nodeKey) ? entries : entries.slice(0, limit);
+
+    const copyValue = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+    return (
+        <>
+            <div
+                className={cn(
+                    'group flex items-start gap-1 pr-2 py-px rounded-sm hover:bg-white/5',
+                    matched && 'bg-amber-400/10'
+                )}
+                style={{ paddingLeft: `${depth}rem` }}
+            >
+                {container ? (
+                    <button
+                        type="button"
+                        onClick={() => tree.toggle(nodeKey, !open)}
+                        className="mt-0.5 text-muted-foreground hover:text-foreground"
+                        aria-label={open ? 'Collapse' : 'Expand'}
+                        aria-expanded={open}
+                    >
+                        <ChevronRight className={cn('w-3.5 h-3.5 transition-transform', open && 'rotate-90')} />
+                    </button>
+                ) : (
+                    <span className="w-3.5 shrink-0" />
+                )}
+                <div className="min-w-0 flex-1 break-words">
+                    {name !== null && (
+                        <>
+                            <span className={typeof name === 'number' ? 'text-muted-foreground' : 'text-[#9cdcfe]'}>
+                                <Highlight text={String(name)} query={tree.query} />
+                            </span>
+                            <span className="text-muted-foreground">: </span>
+                        </>
+                    )}
+                    {embedded ? (
+                        <>
+                            <span className="mr-1.5 px-1 rounded bg-primary/20 text-primary text-[10px] font-sans">JSON string</span>
+                            {!open && <span className="text-muted-foreground">{Array.isArray(embedded) ? '[…]' : '{…}'}</span>}
+                        </>
+                    ) : container ? (
+                        !open && <span className="text-muted-foreground">{Array.isArray(container) ? '[…]' : '{…}'}</span>
+                    ) : (
+                        <span className={cn('whitespace-pre-wrap', SCALAR_COLORS[type])}>
+                            <Highlight text={type === 'string' ? JSON.stringify(value) : String(value)} query={tree.query} />
+                        </span>
+                    )}
+                    <span className="ml-2 text-[10px] text-muted-foreground/70 font-sans">{typeLabel(container || value)}</span>
+                </div>
+                <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <RowButton
+                        label={pathLabel}
+                        done={tree.copied === `path:${nodeKey}`}
+                        icon={<Link className="w-3 h-3" />}
+                        onClick={() => tree.copy(jsonPath, `path:${nodeKey}`)}
+                    />
+                    <RowButton
+                        label="Copy value"
+                        done={tree.copied === `value:${nodeKey}`}
+                        icon={<Copy className="w-3 h-3" />}
+                        onClick={() => tree.copy(copyValue, `value:${nodeKey}`)}
+                    />
+                </div>
+            </div>
+            {visible.map(([key, child]) => (
+                <JsonNode
+                    key={key}
+                    name={key}
+                    value={child}
+                    segments={childSegments(segments, key, Boolean(embedded))}
+                    depth={depth + 1}
+                    tree={tree}
+                />
+            ))}
+            {visible.length < entries.length && (
+                <button
+                    type="button"
+                    onClick={() => setLimit(prev => prev + PAGE_SIZE)}
+                    className="py-0.5 text-xs font-sans text-primary hover:underline"
+                    style={{ paddingLeft: `${depth + 1.25}rem` }}
+                >
+                    Show {Math.min(PAGE_SIZE, entries.length - visible.length)} more ({entries.length - visible.length} hidden)
+                </button>
+            )}
+        </>
+    );
+}
+
+// Collapsible view of a parsed JSON value with search and copy actions.
+// Strings that hold serialized JSON expand like any other object or array.
+// `actions` are extra toolbar controls.
+export default function JsonTree({ value, actions }) {
+    const [query, setQuery] = useState('');
+    // How many levels are open by default; Expand all / Collapse all reset it
+    const [defaultDepth, setDefaultDepth] = useState(DEFAULT_DEPTH);
+    // Nodes the user opened or closed by hand, by segmentsKey
+    const [overrides, setOverrides] = useState({});
+    const [copied, setCopied] = useState(null);
+
+    const search = useMemo(() => searchJson(value, query), [value, query]);
+
+    const changeQuery = (next) => {
+        setQuery(next);
+        setOverrides({});
+    };
+
+    const expandAll = (depth) => {
+        setDefaultDepth(depth);
+        setOverrides({});
+    };
+
+    const tree = {
+        query,
+        search,
+        copied,
+        isOpen: (nodeKey, depth, embedded) => {
+            if (nodeKey in overrides) return overrides[nodeKey];
+            if (search.ancestors.has(nodeKey)) return true;
+            // Embedded JSON strings start collapsed unless everything is expanded
+            if (embedded && defaultDepth !== Infinity) return false;
+            return depth < defaultDepth;
+        },
+        toggle: (nodeKey, open) => setOverrides(prev => ({ ...prev, [nodeKey]: open })),
+        copy: async (text, key) => {
+            try {
+                await navigator.clipboard.writeText(text);
+                setCopied(key);
+                setTimeout(() => setCopied(current => (current === key ? null : current)), 2000);
+            } catch (error) {
+                console.error('Failed to copy:', error);
+            }
+        }
+    };
+
+    return (
+        <div className="my-2 rounded-md bg-[#1e1e1e] text-[0.875em]">
+            <div className="flex items-center gap-2 px-2 py-1.5 border-b border-white/10 font-sans">
+                <div className="relative flex-1 max-w-xs">
+                    <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-muted-foreground" />
+                    <input
+                        value={query}
+                        onChange={(e) => changeQuery(e.target.value)}
+                        placeholder="Search keys and values"
+                        aria-label="Search JSON"
+                        className="w-full bg-secondary border border-border rounded-md pl-7 pr-2 py-1 text-xs text-foreground placeholder-muted-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+                    />
+                </div>
+                {query.trim() && (
+                    <span className="text-xs text-muted-foreground whitespace-nowrap">
+                        {search.matches.size} match{search.matches.size === 1 ? '' : 'es'}
+                    </span>
+                )}
+                <div className="ml-auto flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={() => expandAll(Infinity)}
+                        className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-white/10 transition-colors"
+                        title="Expand all"
+                        aria-label="Expand all"
+                    >
+                        <ChevronsUpDown className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => expandAll(1)}
+                        className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-white/10 transition-colors"
+                        title="Collapse all"
+                        aria-label="Collapse all"
+                    >
+                        <ChevronsDownUp className="w-3.5 h-3.5" />
+                    </button>
+                    {actions}
+                </div>
+            </div>
+            <div className="max-h-[32rem] overflow-auto py-1.5 pl-1 font-mono">
+                <JsonNode name={null} value={value} segments={ROOT_SEGMENTS} depth={0} tree={tree} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,145 @@
+import { useState, useRef, useEffect } from 'react';
+import { Copy, Check, Type, Pencil, RefreshCw, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { markdownToText } from '../lib/markdown';
+
+function ActionButton({ onClick, label, disabled, children }) {
+    return (
+        <button
+            type="button"
+            onClick={onClick}
+            disabled={disabled}
+            className="p-1.5 rounded-md text-muted-foreground hover:bg-secondary hover:text-foreground transition-colors disabled:opacity-30 disabled:pointer-events-none"
+            title={label}
+            aria-label={label}
+        >
+            {children}
+        </button>
+    );
+}
+
+function CopyAction({ text, label, icon }) {
+    const [copied, setCopied] = useState(false);
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy:', error);
+        }
+    };
+
+    return (
+        <ActionButton onClick={copy} label={copied ? 'Copied' : label}>
+            {copied ? <Check className="w-3.5 h-3.5 text-green-400" /> : icon}
+        </ActionButton>
+    );
+}
+
+// Regenerate with the same model, or pick another one from the menu
+function RegenerateAction({ model, models = [], onRegenerate }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const openMenu = () => setIsOpen(prev => !prev);
+
+    return (
+        <div className="relative flex items-center" ref={menuRef}>
+            <ActionButton onClick={() => onRegenerate(model)} label="Regenerate">
+                <RefreshCw className="w-3.5 h-3.5" />
+            </ActionButton>
+            <ActionButton onClick={openMenu} label="Regenerate with another model">
+                <ChevronDown className="w-3 h-3" />
+            </ActionButton>
+
+            {isOpen && (
+                <div className="absolute top-full mt-1 left-0 w-56 bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
+                    <div className="px-3 pt-2 text-xs text-muted-foreground">Regenerate with</div>
+                    <div className="p-1 max-h-64 overflow-y-auto">
+                        {models.length === 0 ? (
+                            <div className="px-3 py-2 text-sm text-muted-foreground">No models available</div>
+                        ) : models.map(option => (
+                            <button
+                                key={option.id}
+                                type="button"
+                                onClick={() => {
+                                    setIsOpen(false);
+                                    onRegenerate(option.id);
+                                }}
+                                className={cn(
+                                    'w-full flex items-center justify-between px-3 py-2 text-sm rounded-md transition-colors',
+                                    option.id === model
+                                        ? 'bg-secondary text-foreground'
+                                        : 'text-muted-foreground hover:bg-secondary/50 hover:text-foreground'
+                                )}
+                            >
+                                {option.name}
+                                {option.id === model && <Check className="w-3 h-3 text-primary" />}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Hover actions under a message, plus the switcher between sibling branches
+// (always shown once a message has been edited or regenerated)
+export default function MessageActions({ message, models, siblings, onEdit, onRegenerate, onSwitchBranch }) {
+    const isAssistant = message.role === 'assistant';
+
+    return (
+        <div className="mt-1 flex items-center gap-1 text-xs">
+            {siblings && (
+                <div className="flex items-center text-muted-foreground">
+                    <ActionButton
+                        onClick={() => onSwitchBranch(siblings.order[siblings.position - 1])}
+                        label="Previous branch"
+                        disabled={!onSwitchBranch || siblings.position === 0}
+                    >
+                        <ChevronLeft className="w-3.5 h-3.5" />
+                    </ActionButton>
+                    <span className="tabular-nums">{siblings.position + 1} / {siblings.count}</span>
+                    <ActionButton
+                        onClick={() => onSwitchBranch(siblings.order[siblings.position + 1])}
+                        label="Next branch"
+                        disabled={!onSwitchBranch || siblings.position === siblings.count - 1}
+                    >
+                        <ChevronRight className="w-3.5 h-3.5" />
+                    </ActionButton>
+                </div>
+            )}
+
+            <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                {isAssistant ? (
+                    <>
+                        <CopyAction text={message.content} label="Copy Markdown" icon={<Copy className="w-3.5 h-3.5" />} />
+                        <CopyAction text={markdownToText(message.content)} label="Copy as plain text" icon={<Type className="w-3.5 h-3.5" />} />
+                    </>
+                ) : (
+                    <CopyAction text={message.content} label="Copy" icon={<Copy className="w-3.5 h-3.5" />} />
+                )}
+                {onEdit && (
+                    <ActionButton onClick={onEdit} label="Edit and resend">
+                        <Pencil className="w-3.5 h-3.5" />
+                    </ActionButton>
+                )}
+                {onRegenerate && <RegenerateAction model={message.model} models={models} onRegenerate={onRegenerate} />}
+            </div>
+        </div>
+    );
+}
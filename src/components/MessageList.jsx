@@ -1,9 +1,22 @@
-import { Bot, User } from 'lucide-react';
+import { useState, useMemo } from 'react';
+import { Bot, User, Workflow, Timer, Activity, Braces, ListTree } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { cn } from '../lib/utils';
+import { estimateTokens } from '../lib/tokens';
+import { findPrice, estimateCost, formatCost, formatSeconds } from '../lib/usage';
+import AttachmentChip from './AttachmentChip';
+import NetworkInspector from './NetworkInspector';
+import ErrorBubble from './ErrorBubble';
+import MessageActions from './MessageActions';
+import ToolCalls from './ToolCalls';
+import SchemaViolations, { SchemaBadge } from './SchemaCheck';
+import JsonTree from './JsonTree';
+import { extractJson, mapJsonLines, linesForPaths } from '../lib/jsonSchema';
+import { parseLooseJson, isContainer } from '../lib/jsonTree';
+import { getSiblings } from '../lib/branches';
 
 // Helper function to detect if content is JSON and wrap it in a code block
 function preprocessContent(content) {
@@ -26,12 +39,328 @@ function preprocessContent(content) {
     return content;
 }
 
-export default function MessageList({ messages, isLoading }) {
+function TypingIndicator() {
+    return (
+        <div className="flex gap-1">
+            <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
+            <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
+            <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
+        </div>
+    );
+}
+
+// Shown under the typing indicator while a 429/5xx answer is being retried
+function RetryNotice({ retrying }) {
+    return (
+        <div className="mt-2 text-xs text-muted-foreground">
+            HTTP {retrying.status}, retrying in {Math.ceil(retrying.delayMs / 1000)}s (attempt {retrying.attempt} of {retrying.maxAttempts})
+        </div>
+    );
+}
+
+// Messages saved before errors were typed only have `error: true` and the
+// generic text as content
+function getErrorInfo(item) {
+    return item.error === true ? { kind: 'unknown', message: item.content } : item.error;
+}
+
+// Answers to a single-model prompt can be regenerated; compare-mode turns can't
+function canRegenerate(messages, index) {
+    const prompt = messages[index - 1];
+    return messages[index].role === 'assistant' && prompt?.role === 'user' && !prompt.compareModels;
+}
+
+// Inline editor for resending a user message; Ctrl/Cmd+Enter sends
+function MessageEditor({ initialContent, onCancel, onSubmit }) {
+    const [content, setContent] = useState(initialContent);
+
+    return (
+        <div className="space-y-2">
+            <textarea
+                autoFocus
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && content.trim()) {
+                        e.preventDefault();
+                        onSubmit(content);
+                    } else if (e.key === 'Escape') {
+                        onCancel();
+                    }
+                }}
+                rows={Math.min(12, Math.max(3, content.split('\n').length))}
+                className="w-full bg-secondary border border-border rounded-lg px-3 py-2 text-sm text-foreground focus:outline-none focus:ring-1 focus:ring-ring resize-y"
+            />
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-3 py-1.5 text-xs rounded-lg hover:bg-secondary transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onSubmit(content)}
+                    disabled={!content.trim()}
+                    className="px-3 py-1.5 text-xs rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all disabled:opacity-50"
+                >
+                    Send as new branch
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Lines of a reply's JSON to mark for failed schema checks, or null
+function useSchemaHighlight(content, schemaCheck) {
+    return useMemo(() => {
+        if (!schemaCheck?.errors.length) return null;
+        const { value } = extractJson(content);
+        if (value === undefined) return null;
+        return {
+            text: JSON.stringify(value, null, 2),
+            lines: linesForPaths(mapJsonLines(value), schemaCheck.errors.map(error => error.path))
+        };
+    }, [content, schemaCheck]);
+}
+
+// JSON blocks at least this long open in the tree view instead of raw
+const TREE_VIEW_MIN_LINES = 200;
+
+// A detected JSON object or array, switchable between the highlighted text
+// (`raw`) and a collapsible tree
+function JsonCodeBlock({ value, lineCount, raw }) {
+    const [view, setView] = useState(lineCount >= TREE_VIEW_MIN_LINES ? 'tree' : 'raw');
+
+    const toggle = (
+        <div className="flex rounded-md border border-white/10 bg-[#1e1e1e] text-[10px] font-sans">
+            {['raw', 'tree'].map(option => (
+                <button
+                    key={option}
+                    type="button"
+                    onClick={() => setView(option)}
+                    className={cn(
+                        'flex items-center gap-1 px-1.5 py-0.5 rounded-md transition-colors',
+                        view === option ? 'bg-white/10 text-foreground' : 'text-muted-foreground hover:text-foreground'
+                    )}
+                    aria-pressed={view === option}
+                >
+                    {option === 'raw' ? <Braces className="w-3 h-3" /> : <ListTree className="w-3 h-3" />}
+                    {option === 'raw' ? 'Raw' : 'Tree'}
+                </button>
+            ))}
+        </div>
+    );
+
+    if (view === 'tree') {
+        return <JsonTree value={value} actions={toggle} />;
+    }
+
+    return (
+        <div className="relative">
+            <div className="absolute top-1.5 right-1.5 z-10">{toggle}</div>
+            {raw}
+        </div>
+    );
+}
+
+// Markdown for assistant replies, with highlighted code and JSON detection.
+// With a failed schemaCheck, the lines of the failing paths are marked in
+// the JSON block the reply was checked from.
+function AssistantMarkdown({ content, schemaCheck }) {
+    const highlight = useSchemaHighlight(content, schemaCheck);
+
+    // Kept stable across streaming updates so JSON blocks keep their view state
+    const components = useMemo(() => ({
+        code({ node, inline, className, children, ...props }) {
+            const match = /language-(\w+)/.exec(className || '');
+            const codeString = String(children).replace(/\n$/, '');
+
+            // Try to detect and format JSON
+            let language = match ? match[1] : '';
+            let formattedCode = codeString;
+            let parsed = null;
+
+            if (!inline && (!language || language === 'json')) {
+                // Parses directly or after unescaping; otherwise use the original
+                parsed = parseLooseJson(codeString);
+                if (parsed) {
+                    formattedCode = JSON.stringify(parsed.value, null, 2);
+                    language = 'json';
+                }
+            }
+
+            const highlightLines = highlight && language === 'json' && formattedCode === highlight.text
+                ? highlight.lines
+                : null;
+
+            if (inline) {
+                return (
+                    <code className={className} {...props}>
+                        {children}
+                    </code>
+                );
+            }
+
+            const raw = (
+                <SyntaxHighlighter
+                    style={vscDarkPlus}
+                    language={language || 'text'}
+                    PreTag="div"
+                    customStyle={{
+                        margin: '0.5em 0',
+                        borderRadius: '0.375rem',
+                        fontSize: '0.875em',
+                    }}
+                    wrapLines={Boolean(highlightLines)}
+                    lineProps={highlightLines ? (lineNumber) => (
+                        highlightLines.has(lineNumber)
+                            ? { style: { display: 'block', backgroundColor: 'rgba(239, 68, 68, 0.2)' } }
+                            : {}
+                    ) : undefined}
+                    {...props}
+                >
+                    {formattedCode}
+                </SyntaxHighlighter>
+            );
+
+            return parsed && isContainer(parsed.value) ? (
+                <JsonCodeBlock value={parsed.value} lineCount={formattedCode.split('\n').length} raw={raw} />
+            ) : raw;
+        }
+    }), [highlight]);
+
+    return (
+        <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+            {preprocessContent(content)}
+        </ReactMarkdown>
+    );
+}
+
+// Latency, tokens and cost of one answer (a message or a comparison column).
+// "~" marks counts estimated on the client when the backend sent no usage.
+function UsageStats({ item, prices }) {
+    const { usage } = item;
+    const price = findPrice(prices, item.model);
+    const cost = estimateCost(usage, price);
+    const approx = usage?.estimated ? '~' : '';
+
+    return (
+        <>
+            {(item.latencyMs != null || item.streaming) && (
+                <span className="inline-flex items-center gap-1" title={item.firstTokenMs != null ? `First token after ${formatSeconds(item.firstTokenMs)}` : undefined}>
+                    <Timer className="w-3 h-3" />
+                    {item.latencyMs != null ? formatSeconds(item.latencyMs) : '…'}
+                </span>
+            )}
+            {usage ? (
+                <span title={`${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion tokens${usage.estimated ? ', estimated' : ''}`}>
+                    {approx}{usage.totalTokens.toLocaleString()} tokens
+                </span>
+            ) : item.content && (
+                // Answers saved before usage was tracked
+                <span>~{estimateTokens(item.content).toLocaleString()} tokens</span>
+            )}
+            {cost !== null && (
+                <span title={`$${price.input} / $${price.output} per million prompt / completion tokens`}>
+                    {approx}{formatCost(cost)}
+                </span>
+            )}
+        </>
+    );
+}
+
+// One column per model for a compare-mode turn, with latency, usage, cost,
+// response length and whether the model produced a wave
+function ComparisonColumns({ columns, prices, onViewWorkflow, onInspect }) {
+    return (
+        <div className="flex gap-3 overflow-x-auto pb-2">
+            {columns.map(column => (
+                <div key={column.model} className="flex-1 min-w-[16rem] flex flex-col border border-border rounded-lg bg-card/50">
+                    <div className="px-3 py-2 border-b border-border/50 space-y-1">
+                        <div className="flex items-center gap-2">
+                            <div className="flex-1 text-sm font-semibold font-mono truncate">{column.model}</div>
+                            {column.network && (
+                                <button
+                                    onClick={() => onInspect(column.network, column.model)}
+                                    className="p-1 rounded text-muted-foreground hover:bg-secondary hover:text-foreground transition-colors"
+                                    title="Inspect request and response"
+                                >
+                                    <Activity className="w-3 h-3" />
+                                </button>
+                            )}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-muted-foreground">
+                            <UsageStats item={column} prices={prices} />
+                            <span>{column.content.length.toLocaleString()} chars</span>
+                            {column.schemaCheck && <SchemaBadge check={column.schemaCheck} />}
+                            {column.workflow?.length > 0 ? (
+                                <button
+                                    onClick={() => onViewWorkflow?.(column)}
+                                    className="inline-flex items-center gap-1 text-green-400 hover:underline"
+                                >
+                                    <Workflow className="w-3 h-3" />
+                                    Wave · {column.workflow.length} nodes
+                                </button>
+                            ) : (
+                                !column.streaming && <span>No wave</span>
+                            )}
+                        </div>
+                    </div>
+                    <div className="flex-1 px-3 py-2 text-sm">
+                        {column.streaming && !column.content ? (
+                            <>
+                                <TypingIndicator />
+                                {column.retrying && <RetryNotice retrying={column.retrying} />}
+                            </>
+                        ) : column.error ? (
+                            <ErrorBubble error={getErrorInfo(column)} />
+                        ) : (
+                            <div className="text-foreground/90 whitespace-pre-wrap break-words prose prose-invert prose-sm max-w-none">
+                                <AssistantMarkdown content={column.content} schemaCheck={column.schemaCheck} />
+                                {column.streaming && (
+                                    <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-foreground/70 animate-pulse" />
+                                )}
+                            </div>
+                        )}
+                        {column.schemaCheck && <SchemaViolations check={column.schemaCheck} />}
+                        {column.toolCalls && !column.streaming && <ToolCalls toolCalls={column.toolCalls} />}
+                        {column.stopped && (
+                            <div className="text-xs text-muted-foreground mt-1">Generation stopped</div>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function MessageList({
+    messages,
+    activeWorkflowMessageId,
+    onViewWorkflow,
+    onViewComparisonWorkflow,
+    onRetry,
+    branches = {},
+    modelPrices,
+    models,
+    tools,
+    onToolResults,
+    onEditMessage,
+    onRegenerate,
+    onSwitchBranch
+}) {
+    // { network, title } of the exchange open in the inspector
+    const [inspected, setInspected] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const inspect = (network, title) => setInspected({ network, title });
+
     return (
         <div className="flex-1 overflow-y-auto">
             <div className="max-w-3xl mx-auto space-y-8 py-8">
                 {messages.map((msg, index) => (
-                    <div key={index} className="flex gap-4 group">
+                    <div key={msg.id ?? index} className="flex gap-4 group">
                         {/* Avatar */}
                         <div
                             className={cn(
@@ -51,97 +380,125 @@ export default function MessageList({ messages, isLoading }) {
                         {/* Message Content */}
                         <div className="flex-1 min-w-0">
                             <div className="text-sm font-semibold text-foreground mb-1">
-                                {msg.role === 'user' ? 'You' : 'AI Assistant'}
-                            </div>
-                            <div className="text-foreground/90 whitespace-pre-wrap break-words prose prose-invert max-w-none">
-                                {msg.role === 'user' ? (
-                                    msg.content
-                                ) : (
-                                    <ReactMarkdown
-                                        remarkPlugins={[remarkGfm]}
-                                        components={{
-                                            code({ node, inline, className, children, ...props }) {
-                                                const match = /language-(\w+)/.exec(className || '');
-                                                const codeString = String(children).replace(/\n$/, '');
-
-                                                // Try to detect and format JSON
-                                                let language = match ? match[1] : '';
-                                                let formattedCode = codeString;
-
-                                                if (!inline && (!language || language === 'json')) {
-                                                    try {
-                                                        // Try to parse as JSON directly
-                                                        const parsed = JSON.parse(codeString);
-                                                        formattedCode = JSON.stringify(parsed, null, 2);
-                                                        language = 'json';
-                                                    } catch (e) {
-                                                        // If direct parse fails, try unescaping first
-                                                        try {
-                                                            // Replace escaped newlines and other escape sequences
-                                                            const unescaped = codeString
-                                                                .replace(/\\n/g, '\n')
-                                                                .replace(/\\t/g, '\t')
-                                                                .replace(/\\r/g, '\r')
-                                                                .replace(/\\"/g, '"')
-                                                                .replace(/\\\\/g, '\\');
-                                                            const parsed = JSON.parse(unescaped);
-                                                            formattedCode = JSON.stringify(parsed, null, 2);
-                                                            language = 'json';
-                                                        } catch (e2) {
-                                                            // Not valid JSON, use original
-                                                        }
-                                                    }
-                                                }
-
-                                                return !inline ? (
-                                                    <SyntaxHighlighter
-                                                        style={vscDarkPlus}
-                                                        language={language || 'text'}
-                                                        PreTag="div"
-                                                        customStyle={{
-                                                            margin: '0.5em 0',
-                                                            borderRadius: '0.375rem',
-                                                            fontSize: '0.875em',
-                                                        }}
-                                                        {...props}
-                                                    >
-                                                        {formattedCode}
-                                                    </SyntaxHighlighter>
-                                                ) : (
-                                                    <code className={className} {...props}>
-                                                        {children}
-                                                    </code>
-                                                );
-                                            }
-                                        }}
-                                    >
-                                        {preprocessContent(msg.content)}
-                                    </ReactMarkdown>
+                                {msg.role === 'user' ? 'You' : msg.comparison ? 'Model comparison' : 'AI Assistant'}
+                                {msg.schemaCheck && <SchemaBadge check={msg.schemaCheck} className="ml-2 align-middle" />}
+                                {msg.responseSchema && (
+                                    <span className="ml-2 text-xs font-normal text-muted-foreground">
+                                        expects <span className="font-mono">{msg.responseSchema.name}</span> JSON
+                                    </span>
+                                )}
+                                {msg.compareModels && (
+                                    <span className="ml-2 text-xs font-normal text-muted-foreground">
+                                        to {msg.compareModels.join(', ')}
+                                    </span>
                                 )}
                             </div>
+                            {msg.attachments?.length > 0 && (
+                                <div className="flex flex-wrap gap-2 mb-2">
+                                    {msg.attachments.map(attachment => (
+                                        <AttachmentChip key={attachment.id} attachment={attachment} />
+                                    ))}
+                                </div>
+                            )}
+                            {editingId === msg.id ? (
+                                <MessageEditor
+                                    initialContent={msg.content}
+                                    onCancel={() => setEditingId(null)}
+                                    onSubmit={(content) => {
+                                        setEditingId(null);
+                                        onEditMessage?.(msg.id, content);
+                                    }}
+                                />
+                            ) : msg.comparison ? (
+                                <ComparisonColumns columns={msg.comparison} prices={modelPrices} onViewWorkflow={onViewComparisonWorkflow} onInspect={inspect} />
+                            ) : msg.streaming && !msg.content ? (
+                                <>
+                                    <TypingIndicator />
+                                    {msg.retrying && <RetryNotice retrying={msg.retrying} />}
+                                </>
+                            ) : msg.content && msg.error !== true && (
+                                <div className="text-foreground/90 whitespace-pre-wrap break-words prose prose-invert max-w-none">
+                                    {msg.role === 'user' ? (
+                                        msg.content
+                                    ) : (
+                                        <AssistantMarkdown content={msg.content} schemaCheck={msg.schemaCheck} />
+                                    )}
+                                    {msg.streaming && (
+                                        <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-foreground/70 animate-pulse" />
+                                    )}
+                                </div>
+                            )}
+                            {msg.schemaCheck && <SchemaViolations check={msg.schemaCheck} />}
+                            {msg.toolCalls && !msg.streaming && (
+                                <ToolCalls
+                                    toolCalls={msg.toolCalls}
+                                    tools={tools}
+                                    onSubmit={onToolResults && index === messages.length - 1 ? (results) => onToolResults(msg.id, results) : null}
+                                />
+                            )}
+                            {msg.stopped && (
+                                <div className="text-xs text-muted-foreground mt-1">Generation stopped</div>
+                            )}
+                            {msg.error && (
+                                <ErrorBubble
+                                    error={getErrorInfo(msg)}
+                                    onRetry={onRetry && index === messages.length - 1 ? () => onRetry(msg.id) : null}
+                                    className={msg.content && msg.error !== true ? 'mt-2' : undefined}
+                                />
+                            )}
+                            {msg.role === 'assistant' && !msg.comparison && !msg.streaming && (
+                                <div className="mt-2 flex flex-wrap items-center gap-2">
+                                    {msg.workflow?.length > 0 && onViewWorkflow && (
+                                        <button
+                                            onClick={() => onViewWorkflow(msg.id)}
+                                            className={cn(
+                                                'inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-lg transition-colors',
+                                                activeWorkflowMessageId === msg.id
+                                                    ? 'bg-primary/20 text-primary'
+                                                    : 'bg-secondary text-muted-foreground hover:text-foreground'
+                                            )}
+                                        >
+                                            <Workflow className="w-3 h-3" />
+                                            {activeWorkflowMessageId === msg.id ? 'Showing workflow' : 'View workflow'}
+                                        </button>
+                                    )}
+                                    {msg.network && (
+                                        <button
+                                            onClick={() => inspect(msg.network, msg.model)}
+                                            className="inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-lg bg-secondary text-muted-foreground hover:text-foreground transition-colors"
+                                            title="Inspect request and response"
+                                        >
+                                            <Activity className="w-3 h-3" />
+                                            Network
+                                        </button>
+                                    )}
+                                    <div className="flex items-center gap-3 px-1 text-xs text-muted-foreground">
+                                        <UsageStats item={msg} prices={modelPrices} />
+                                    </div>
+                                </div>
+                            )}
+                            {!msg.streaming && !msg.comparison && editingId !== msg.id && (
+                                <MessageActions
+                                    message={msg}
+                                    models={models}
+                                    siblings={getSiblings(messages, branches, index)}
+                                    onEdit={msg.role === 'user' && !msg.compareModels && onEditMessage ? () => setEditingId(msg.id) : null}
+                                    onRegenerate={canRegenerate(messages, index) && onRegenerate ? (model) => onRegenerate(msg.id, model) : null}
+                                    onSwitchBranch={onSwitchBranch ? (targetId) => onSwitchBranch(index, targetId) : null}
+                                />
+                            )}
                         </div>
                     </div>
                 ))}
-
-                {/* Loading Indicator */}
-                {isLoading && (
-                    <div className="flex gap-4">
-                        <div className="flex-shrink-0 w-8 h-8 rounded-lg flex items-center justify-center bg-gradient-to-br from-blue-500 to-blue-600">
-                            <Bot className="w-4 h-4 text-white" />
-                        </div>
-                        <div className="flex-1">
-                            <div className="text-sm font-semibold text-foreground mb-1">
-                                AI Assistant
-                            </div>
-                            <div className="flex gap-1">
-                                <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
-                                <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
-                                <div className="w-2 h-2 bg-muted-foreground rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
-                            </div>
-                        </div>
-                    </div>
-                )}
             </div>
+
+            {inspected && (
+                <NetworkInspector
+                    network={inspected.network}
+                    title={inspected.title}
+                    onClose={() => setInspected(null)}
+                />
+            )}
         </div>
     );
 }
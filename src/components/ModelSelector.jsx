@@ -0,0 +1,200 @@
+import { useState, useRef, useEffect } from 'react';
+import { ChevronDown, Check, Search, RotateCcw } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { CAPABILITIES, groupModelsByProvider, matchesModelFilter, formatContextWindow } from '../lib/models';
+
+const CAPABILITY_CLASS_NAMES = {
+    workflow: 'bg-green-500/15 text-green-400',
+    vision: 'bg-purple-500/15 text-purple-400',
+    tools: 'bg-blue-500/15 text-blue-400',
+    json: 'bg-amber-500/15 text-amber-400'
+};
+
+function Badge({ className, children }) {
+    return (
+        <span className={cn('px-1.5 py-0.5 rounded text-[10px] leading-none font-medium', className)}>
+            {children}
+        </span>
+    );
+}
+
+function StatusMessage({ children, onRetry }) {
+    return (
+        <div className="px-3 py-4 text-sm text-center text-muted-foreground space-y-2">
+            <div>{children}</div>
+            {onRetry && (
+                <button
+                    type="button"
+                    onClick={onRetry}
+                    className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary text-foreground hover:bg-secondary/80 transition-colors"
+                >
+                    <RotateCcw className="w-3 h-3" />
+                    Try again
+                </button>
+            )}
+        </div>
+    );
+}
+
+// Model dropdown grouped by provider, with type-to-filter and capability
+// badges. `status` is 'loading', 'ready' or 'error' (with `error` set).
+// With `multiple`, rows toggle and the menu stays open.
+export default function ModelSelector({
+    models,
+    status,
+    error,
+    onReload,
+    selectedIds,
+    onSelect,
+    multiple = false,
+    maxSelected = Infinity,
+    hint
+}) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [filter, setFilter] = useState('');
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const selectedModel = models.find(model => model.id === selectedIds[0]);
+    const visibleModels = models.filter(model => matchesModelFilter(model, filter));
+    const groups = groupModelsByProvider(visibleModels);
+
+    const label = multiple
+        ? `${selectedIds.length} model${selectedIds.length === 1 ? '' : 's'}`
+        : status === 'loading' && models.length === 0
+            ? 'Loading models...'
+            : status === 'error' && models.length === 0
+                ? 'Models unavailable'
+                : selectedModel?.name || 'No models';
+
+    const select = (model) => {
+        onSelect(model.id);
+        if (!multiple) {
+            setIsOpen(false);
+            setFilter('');
+        }
+    };
+
+    const toggleOpen = () => {
+        setIsOpen(prev => !prev);
+        // A failed or empty catalog is fetched again when the menu opens
+        if (!isOpen && status !== 'loading' && models.length === 0) {
+            onReload?.();
+        }
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                type="button"
+                onClick={toggleOpen}
+                className={cn(
+                    'flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-secondary hover:bg-secondary/80 transition-colors',
+                    status === 'error' && models.length === 0 && 'text-red-400'
+                )}
+            >
+                <span className={cn('text-xs', !(status === 'error' && models.length === 0) && 'text-foreground', !multiple && selectedModel?.deprecated && 'line-through')}>
+                    {label}
+                </span>
+                <ChevronDown className="w-3 h-3 text-muted-foreground" />
+            </button>
+
+            {isOpen && (
+                <div className="absolute bottom-full mb-2 right-0 w-80 bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
+                    <div className="flex items-center gap-2 px-3 py-2 border-b border-border/50">
+                        <Search className="w-4 h-4 text-muted-foreground" />
+                        <input
+                            autoFocus
+                            value={filter}
+                            onChange={(e) => setFilter(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && visibleModels.length > 0) {
+                                    e.preventDefault();
+                                    select(groups[0].models[0]);
+                                } else if (e.key === 'Escape') {
+                                    setIsOpen(false);
+                                }
+                            }}
+                            placeholder="Filter by name, provider or capability"
+                            className="flex-1 bg-transparent text-sm text-foreground placeholder-muted-foreground focus:outline-none"
+                        />
+                    </div>
+                    {hint && <div className="px-3 pt-2 text-xs text-muted-foreground">{hint}</div>}
+
+                    <div className="max-h-80 overflow-y-auto p-1">
+                        {status === 'loading' && models.length === 0 ? (
+                            <StatusMessage>Loading models...</StatusMessage>
+                        ) : status === 'error' && models.length === 0 ? (
+                            <StatusMessage onRetry={onReload}>
+                                <div className="text-red-400">Could not load models</div>
+                                {error && <div className="mt-1 text-xs">{error}</div>}
+                            </StatusMessage>
+                        ) : models.length === 0 ? (
+                            <StatusMessage onRetry={onReload}>The backend returned no models</StatusMessage>
+                        ) : groups.length === 0 ? (
+                            <StatusMessage>No models match "{filter}"</StatusMessage>
+                        ) : groups.map(group => (
+                            <div key={group.provider} className="py-1">
+                                <div className="px-3 py-1 text-[10px] font-semibold uppercase tracking-wide text-muted-foreground">
+                                    {group.provider}
+                                </div>
+                                {group.models.map(model => {
+                                    const isSelected = selectedIds.includes(model.id);
+                                    return (
+                                        <button
+                                            key={model.id}
+                                            type="button"
+                                            onClick={() => select(model)}
+                                            disabled={multiple && !isSelected && selectedIds.length >= maxSelected}
+                                            title={model.description || undefined}
+                                            className={cn(
+                                                'w-full flex items-start gap-2 px-3 py-2 rounded-md text-left transition-colors disabled:opacity-50 disabled:cursor-not-allowed',
+                                                isSelected
+                                                    ? 'bg-secondary text-foreground'
+                                                    : 'text-muted-foreground hover:bg-secondary/50 hover:text-foreground'
+                                            )}
+                                        >
+                                            <div className="flex-1 min-w-0 space-y-1">
+                                                <div className="flex items-center gap-2">
+                                                    <span className={cn('text-sm truncate', model.deprecated && 'line-through opacity-70')}>
+                                                        {model.name}
+                                                    </span>
+                                                    {model.contextWindow && (
+                                                        <span className="text-[10px] text-muted-foreground">
+                                                            {formatContextWindow(model.contextWindow)} ctx
+                                                        </span>
+                                                    )}
+                                                </div>
+                                                {(model.capabilities.length > 0 || model.deprecated) && (
+                                                    <div className="flex flex-wrap gap-1">
+                                                        {model.deprecated && <Badge className="bg-red-500/15 text-red-400">Deprecated</Badge>}
+                                                        {model.capabilities.map(capability => (
+                                                            <Badge key={capability} className={CAPABILITY_CLASS_NAMES[capability] || 'bg-secondary text-muted-foreground'}>
+                                                                {CAPABILITIES[capability] || capability}
+                                                            </Badge>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
+                                            {isSelected && <Check className="w-3 h-3 mt-1 text-primary" />}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import { X, Copy, Check, Terminal } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { formatBytes } from '../lib/attachments';
+import { toCurl } from '../lib/curl';
+import { maskHeaders, hasSecretHeaders, isSecretHeader } from '../lib/secretHeaders';
+import { getCustomHeaders } from '../services/settings';
+
+// JSON bodies are pretty-printed; anything else (SSE text, HTML error pages)
+// is shown as received
+function formatBody(body) {
+    if (!body) return '';
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+        return body;
+    }
+}
+
+function CopyButton({ text, label = 'Copy', icon = <Copy className="w-3 h-3" /> }) {
+    const [copied, setCopied] = useState(false);
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy:', error);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={copy}
+            className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+        >
+            {copied ? <Check className="w-3 h-3 text-green-400" /> : icon}
+            {copied ? 'Copied' : label}
+        </button>
+    );
+}
+
+function Section({ title, actions, children }) {
+    return (
+        <section className="space-y-2">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold">{title}</h3>
+                {actions}
+            </div>
+            {children}
+        </section>
+    );
+}
+
+function HeaderTable({ headers }) {
+    const entries = Object.entries(headers || {});
+    if (entries.length === 0) {
+        return <div className="text-xs text-muted-foreground">No headers</div>;
+    }
+    return (
+        <table className="w-full text-xs font-mono">
+            <tbody>
+                {entries.map(([name, value]) => (
+                    <tr key={name} className="border-b border-border/30 last:border-0">
+                        <td className="py-1 pr-3 align-top text-muted-foreground whitespace-nowrap">{name}</td>
+                        <td className="py-1 break-all">{value}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function BodyView({ body }) {
+    const text = formatBody(body);
+    if (!text) {
+        return <div className="text-xs text-muted-foreground">Empty body</div>;
+    }
+    return (
+        <pre className="max-h-80 overflow-auto p-3 rounded-lg bg-background border border-border text-xs font-mono whitespace-pre-wrap break-all">
+            {text}
+        </pre>
+    );
+}
+
+// Waiting for headers, then the body (split at the first streamed chunk)
+function TimingBar({ timing }) {
+    const total = timing.totalMs || 0;
+    const phases = [];
+    if (timing.headersMs !== null) {
+        phases.push({ label: 'Waiting for response', ms: timing.headersMs, className: 'bg-blue-500' });
+        if (timing.firstChunkMs !== null) {
+            phases.push({ label: 'Until first chunk', ms: timing.firstChunkMs - timing.headersMs, className: 'bg-amber-500' });
+        }
+        const bodyStartMs = timing.firstChunkMs ?? timing.headersMs;
+        phases.push({ label: timing.firstChunkMs !== null ? 'Streaming' : 'Reading body', ms: total - bodyStartMs, className: 'bg-green-500' });
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="flex h-2 rounded-full overflow-hidden bg-secondary">
+                {total > 0 && phases.map(phase => (
+                    <div key={phase.label} className={phase.className} style={{ width: `${(phase.ms / total) * 100}%` }} />
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+                {phases.map(phase => (
+                    <span key={phase.label} className="inline-flex items-center gap-1.5">
+                        <span className={cn('w-2 h-2 rounded-full', phase.className)} />
+                        {phase.label} {phase.ms} ms
+                    </span>
+                ))}
+                <span className="text-foreground">Total {total} ms</span>
+            </div>
+        </div>
+    );
+}
+
+// Raw request and response behind one message, to tell backend bugs from
+// rendering bugs
+export default function NetworkInspector({ network, title, onClose }) {
+    const { request, response, timing } = network;
+    // Opt-in: curl with the credentials currently in Settings instead of masks
+    const [includeSecrets, setIncludeSecrets] = useState(false);
+    const secrets = includeSecrets
+        ? Object.fromEntries(Object.entries(getCustomHeaders()).filter(([name]) => isSecretHeader(name) && name in request.headers))
+        : {};
+    const requestBody = request.form
+        ? request.form.map(field => (field.fileName
+            ? `${field.name}: <${field.fileName}, ${field.type || 'unknown type'}, ${formatBytes(field.size)}>`
+            : `${field.name}: ${formatBody(field.value)}`)).join('\n\n')
+        : request.body;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-3xl max-h-[90vh] flex flex-col bg-card border border-border rounded-2xl shadow-xl"
+            >
+                {/* Header */}
+                <div className="flex items-center gap-3 p-4 border-b border-border/50">
+                    <h2 className="text-lg font-semibold">Network</h2>
+                    {title && <span className="text-sm text-muted-foreground truncate">{title}</span>}
+                    <div className="ml-auto flex items-center gap-2">
+                        {hasSecretHeaders(request.headers) && (
+                            <label
+                                className="flex items-center gap-1.5 text-xs text-muted-foreground cursor-pointer"
+                                title="Put the current values from Settings into the curl command instead of masks"
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={includeSecrets}
+                                    onChange={(e) => setIncludeSecrets(e.target.checked)}
+                                />
+                                Include secrets
+                            </label>
+                        )}
+                        <CopyButton text={toCurl(request, { secrets })} label="Copy as curl" icon={<Terminal className="w-3 h-3" />} />
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="p-1 hover:bg-secondary rounded transition-colors"
+                            aria-label="Close network inspector"
+                        >
+                            <X className="w-5 h-5" />
+                        </button>
+                    </div>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                    <div className="flex flex-wrap items-center gap-2 text-sm font-mono">
+                        <span className="px-1.5 py-0.5 rounded bg-secondary text-xs">{request.method}</span>
+                        <span className="break-all">{request.url}</span>
+                        {response ? (
+                            <span className={cn(
+                                'px-1.5 py-0.5 rounded text-xs',
+                                response.status < 400 ? 'bg-green-500/15 text-green-400' : 'bg-red-500/15 text-red-400'
+                            )}>
+                                {response.status} {response.statusText}
+                            </span>
+                        ) : (
+                            <span className="px-1.5 py-0.5 rounded text-xs bg-red-500/15 text-red-400">No response</span>
+                        )}
+                        {network.mock && (
+                            <span className="px-1.5 py-0.5 rounded text-xs bg-amber-500/15 text-amber-400">mock</span>
+                        )}
+                    </div>
+
+                    <Section title="Timing">
+                        <TimingBar timing={timing} />
+                    </Section>
+
+                    <Section title="Request headers">
+                        <HeaderTable headers={maskHeaders(request.headers)} />
+                    </Section>
+
+                    <Section
+                        title={request.form ? 'Request body (multipart)' : 'Request body'}
+                        actions={requestBody && <CopyButton text={requestBody} />}
+                    >
+                        <BodyView body={requestBody} />
+                    </Section>
+
+                    {response && (
+                        <>
+                            <Section title="Response headers">
+                                <HeaderTable headers={maskHeaders(response.headers)} />
+                            </Section>
+
+                            <Section
+                                title={response.streamed ? 'Response body (raw stream)' : 'Response body'}
+                                actions={response.body && <CopyButton text={response.body} />}
+                            >
+                                <BodyView body={response.body} />
+                            </Section>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,300 @@
+import { useState } from 'react';
+import { X, Plus, Trash2, Check } from 'lucide-react';
+import { inputClassName } from '../lib/styles';
+import { collectIds } from '../lib/waveEditor';
+
+const NODE_TYPE_LABELS = {
+    user_interaction: '👤 User Interaction',
+    api_call: '🔌 API Call',
+    decision: '🔀 Decision',
+};
+
+// Fields with their own editors; everything else goes through the JSON box
+const EDITED_KEYS = ['id', 'type', 'prompt', 'expression', 'api_name', 'ended', 'if_block', 'else_block'];
+
+function Section({ title, children }) {
+    return (
+        <section className="space-y-1.5">
+            <h4 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">{title}</h4>
+            {children}
+        </section>
+    );
+}
+
+function IconButton({ onClick, label, children }) {
+    return (
+        <button
+            type="button"
+            onClick={onClick}
+            className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-secondary transition-colors"
+            aria-label={label}
+            title={label}
+        >
+            {children}
+        </button>
+    );
+}
+
+// Ids are committed on blur so half-typed values don't collide with others
+function IdField({ node, wave, onRename }) {
+    const [value, setValue] = useState(node.id);
+    const [error, setError] = useState(null);
+
+    const commit = () => {
+        const id = value.trim();
+        if (id === node.id) return;
+        if (!id) {
+            setError('Id is required');
+        } else if (collectIds(wave).has(id)) {
+            setError(`"${id}" is already used`);
+        } else {
+            setError(null);
+            onRename(id);
+        }
+    };
+
+    return (
+        <div className="space-y-1">
+            <input
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => e.key === 'Enter' && commit()}
+                className={`${inputClassName} font-mono`}
+            />
+            {error && <div className="text-xs text-red-400">{error}</div>}
+        </div>
+    );
+}
+
+function AddLocale({ existing, onAdd }) {
+    const [locale, setLocale] = useState('');
+
+    const add = () => {
+        const trimmed = locale.trim();
+        if (!trimmed || existing.includes(trimmed)) return;
+        onAdd(trimmed);
+        setLocale('');
+    };
+
+    return (
+        <div className="flex items-center gap-1">
+            <input
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        add();
+                    }
+                }}
+                placeholder="Add locale, e.g. fr-FR"
+                className={`${inputClassName} font-mono text-xs`}
+            />
+            <IconButton onClick={add} label="Add locale">
+                <Plus className="w-4 h-4" />
+            </IconButton>
+        </div>
+    );
+}
+
+// Locale -> list of prompt variants
+function PromptEditor({ prompt, onChange }) {
+    const entries = Object.entries(prompt || {});
+
+    const setVariants = (locale, variants) => onChange({ ...prompt, [locale]: variants });
+    const removeLocale = (locale) => {
+        const next = { ...prompt };
+        delete next[locale];
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-3">
+            {entries.map(([locale, value]) => {
+                const variants = Array.isArray(value) ? value : [value];
+                return (
+                    <div key={locale} className="space-y-1">
+                        <div className="flex items-center justify-between">
+                            <span className="text-xs font-mono text-primary">{locale}</span>
+                            <div className="flex items-center">
+                                <IconButton onClick={() => setVariants(locale, [...variants, ''])} label="Add variant">
+                                    <Plus className="w-3.5 h-3.5" />
+                                </IconButton>
+                                <IconButton onClick={() => removeLocale(locale)} label={`Remove ${locale}`}>
+                                    <Trash2 className="w-3.5 h-3.5" />
+                                </IconButton>
+                            </div>
+                        </div>
+                        {variants.map((variant, index) => (
+                            <div key={index} className="flex items-start gap-1">
+                                <textarea
+                                    value={typeof variant === 'string' ? variant : JSON.stringify(variant)}
+                                    onChange={(e) => setVariants(locale, variants.map((v, i) => (i === index ? e.target.value : v)))}
+                                    rows={2}
+                                    className={`${inputClassName} resize-y`}
+                                />
+                                {variants.length > 1 && (
+                                    <IconButton onClick={() => setVariants(locale, variants.filter((_, i) => i !== index))} label="Remove variant">
+                                        <X className="w-3.5 h-3.5" />
+                                    </IconButton>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                );
+            })}
+            <AddLocale existing={entries.map(([locale]) => locale)} onAdd={(locale) => setVariants(locale, [''])} />
+        </div>
+    );
+}
+
+// Locale -> expression text
+function ExpressionEditor({ expression, onChange }) {
+    const values = typeof expression === 'string' ? { 'en-US': expression } : (expression || {});
+
+    const removeLocale = (locale) => {
+        const next = { ...values };
+        delete next[locale];
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-2">
+            {Object.entries(values).map(([locale, text]) => (
+                <div key={locale} className="space-y-1">
+                    <div className="flex items-center justify-between">
+                        <span className="text-xs font-mono text-primary">{locale}</span>
+                        <IconButton onClick={() => removeLocale(locale)} label={`Remove ${locale}`}>
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </IconButton>
+                    </div>
+                    <textarea
+                        value={text}
+                        onChange={(e) => onChange({ ...values, [locale]: e.target.value })}
+                        rows={2}
+                        spellCheck={false}
+                        className={`${inputClassName} resize-y font-mono`}
+                    />
+                </div>
+            ))}
+            <AddLocale existing={Object.keys(values)} onAdd={(locale) => onChange({ ...values, [locale]: '' })} />
+        </div>
+    );
+}
+
+// Any fields without a dedicated editor (mappings, output variables...)
+function ExtraFieldsEditor({ node, onApply }) {
+    const extras = Object.fromEntries(Object.entries(node).filter(([key]) => !EDITED_KEYS.includes(key)));
+    const [text, setText] = useState(() => JSON.stringify(extras, null, 2));
+    const [error, setError] = useState(null);
+
+    const apply = () => {
+        try {
+            const parsed = JSON.parse(text);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('Fields must be a JSON object');
+            }
+            // The dedicated editors stay in charge of their own fields
+            const edited = Object.fromEntries(Object.entries(node).filter(([key]) => EDITED_KEYS.includes(key)));
+            const extraFields = Object.fromEntries(Object.entries(parsed).filter(([key]) => !EDITED_KEYS.includes(key)));
+            setError(null);
+            onApply({ ...edited, ...extraFields });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-1">
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={5}
+                spellCheck={false}
+                className={`${inputClassName} resize-y font-mono text-xs`}
+            />
+            {error && <div className="text-xs text-red-400">{error}</div>}
+            <button
+                type="button"
+                onClick={apply}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+            >
+                <Check className="w-3 h-3" />
+                Apply fields
+            </button>
+        </div>
+    );
+}
+
+// Edit-mode counterpart of NodeInspector: every change is applied to the
+// draft wave straight away so the canvas updates while typing
+export default function NodeEditor({ node, wave, onChange, onReplace, onRename, onDelete, onClose }) {
+    return (
+        <div className="absolute top-0 right-0 h-full w-96 max-w-full flex flex-col bg-card border-l border-border shadow-xl z-10">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 border-b border-border/50">
+                <div className="text-sm font-semibold">{NODE_TYPE_LABELS[node.type] || node.type}</div>
+                <div className="flex items-center gap-1">
+                    <button
+                        onClick={onDelete}
+                        className="p-1 hover:bg-secondary rounded transition-colors text-red-400"
+                        aria-label="Delete node"
+                        title="Delete node"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close editor"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {/* Body */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                <Section title="Id">
+                    <IdField key={node.id} node={node} wave={wave} onRename={onRename} />
+                </Section>
+
+                {node.type === 'user_interaction' && (
+                    <Section title="Prompt">
+                        <PromptEditor prompt={node.prompt} onChange={(prompt) => onChange({ prompt }, 'prompt')} />
+                    </Section>
+                )}
+
+                {node.type === 'api_call' && (
+                    <Section title="API name">
+                        <input
+                            value={node.api_name || ''}
+                            onChange={(e) => onChange({ api_name: e.target.value }, 'api_name')}
+                            className={`${inputClassName} font-mono`}
+                        />
+                    </Section>
+                )}
+
+                {node.type === 'decision' && (
+                    <Section title="Expression">
+                        <ExpressionEditor expression={node.expression} onChange={(expression) => onChange({ expression }, 'expression')} />
+                    </Section>
+                )}
+
+                <label className="flex items-center gap-2 text-sm">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(node.ended)}
+                        onChange={(e) => onChange({ ended: e.target.checked || undefined })}
+                    />
+                    Ends the workflow
+                </label>
+
+                <Section title="Other fields (JSON)">
+                    <ExtraFieldsEditor key={node.id} node={node} onApply={onReplace} />
+                </Section>
+            </div>
+        </div>
+    );
+}
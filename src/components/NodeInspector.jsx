@@ -0,0 +1,159 @@
+import { X, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { describeNode, EDGE_COLORS } from '../lib/waveGraph';
+
+const NODE_TYPE_LABELS = {
+    user_interaction: '👤 User Interaction',
+    api_call: '🔌 API Call',
+    decision: '🔀 Decision',
+};
+
+// API call fields describing how data flows in and out of the call
+const isMappingKey = (key) => /request|response|mapping/i.test(key);
+
+function Section({ title, children }) {
+    return (
+        <section className="space-y-1.5">
+            <h4 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">{title}</h4>
+            {children}
+        </section>
+    );
+}
+
+function JsonBlock({ value }) {
+    return (
+        <SyntaxHighlighter
+            style={vscDarkPlus}
+            language="json"
+            PreTag="div"
+            customStyle={{ margin: 0, borderRadius: '0.375rem', fontSize: '0.75rem' }}
+        >
+            {JSON.stringify(value, null, 2)}
+        </SyntaxHighlighter>
+    );
+}
+
+// Locale -> text (or list of variants) tables, used for prompts and expressions
+function LocalizedTable({ values }) {
+    return (
+        <div className="space-y-2">
+            {Object.entries(values).map(([locale, text]) => (
+                <div key={locale} className="text-xs">
+                    <div className="font-mono text-primary mb-0.5">{locale}</div>
+                    {(Array.isArray(text) ? text : [text]).map((variant, index) => (
+                        <div key={index} className="whitespace-pre-wrap break-words text-foreground/90 bg-secondary rounded px-2 py-1 mb-1">
+                            {typeof variant === 'string' ? variant : JSON.stringify(variant)}
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function EdgeList({ edges, direction, nodesById, onSelectNode }) {
+    if (edges.length === 0) {
+        return <div className="text-xs text-muted-foreground">None</div>;
+    }
+
+    return (
+        <div className="space-y-1">
+            {edges.map(edge => {
+                const otherId = direction === 'in' ? edge.source : edge.target;
+                const other = nodesById[otherId];
+                return (
+                    <button
+                        key={edge.id}
+                        onClick={() => onSelectNode(otherId)}
+                        className="w-full flex items-center gap-2 px-2 py-1 rounded text-left text-xs hover:bg-secondary transition-colors"
+                    >
+                        {direction === 'in'
+                            ? <ArrowDownLeft className="w-3 h-3 flex-shrink-0 text-muted-foreground" />
+                            : <ArrowUpRight className="w-3 h-3 flex-shrink-0 text-muted-foreground" />}
+                        {edge.label && (
+                            <span className="font-semibold" style={{ color: edge.label === 'Yes' ? EDGE_COLORS.yes : EDGE_COLORS.no }}>
+                                {edge.label}
+                            </span>
+                        )}
+                        <span className="font-mono text-foreground">{otherId}</span>
+                        <span className="truncate text-muted-foreground">{describeNode(other)}</span>
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
+
+// Side panel with everything about one wave node: full raw JSON, every
+// localized prompt, API mappings, the full decision expression and its edges
+export default function NodeInspector({ node, edges, nodesById, onSelectNode, onClose }) {
+    const incoming = edges.filter(edge => edge.target === node.id);
+    const outgoing = edges.filter(edge => edge.source === node.id);
+    const mappingEntries = Object.entries(node).filter(([key]) => isMappingKey(key));
+
+    return (
+        <div className="absolute top-0 right-0 h-full w-96 max-w-full flex flex-col bg-card border-l border-border shadow-xl z-10">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 border-b border-border/50">
+                <div className="min-w-0">
+                    <div className="text-sm font-semibold">{NODE_TYPE_LABELS[node.type] || node.type}</div>
+                    <div className="text-xs font-mono text-muted-foreground truncate">{node.id}</div>
+                </div>
+                <button
+                    onClick={onClose}
+                    className="p-1 hover:bg-secondary rounded transition-colors"
+                    aria-label="Close inspector"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {/* Body */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                {node.type === 'api_call' && (
+                    <Section title="API">
+                        <div className="text-sm font-mono">{node.api_name || '—'}</div>
+                    </Section>
+                )}
+
+                {node.type === 'api_call' && mappingEntries.length > 0 && (
+                    <Section title="Request / response mapping">
+                        {mappingEntries.map(([key, value]) => (
+                            <div key={key} className="space-y-1">
+                                <div className="text-xs font-mono text-primary">{key}</div>
+                                <JsonBlock value={value} />
+                            </div>
+                        ))}
+                    </Section>
+                )}
+
+                {node.expression && (
+                    <Section title="Expression">
+                        {typeof node.expression === 'object'
+                            ? <LocalizedTable values={node.expression} />
+                            : <div className="text-xs font-mono whitespace-pre-wrap">{String(node.expression)}</div>}
+                    </Section>
+                )}
+
+                {node.prompt && typeof node.prompt === 'object' && (
+                    <Section title={`Prompt (${Object.keys(node.prompt).length} locales)`}>
+                        <LocalizedTable values={node.prompt} />
+                    </Section>
+                )}
+
+                <Section title={`Incoming (${incoming.length})`}>
+                    <EdgeList edges={incoming} direction="in" nodesById={nodesById} onSelectNode={onSelectNode} />
+                </Section>
+
+                <Section title={`Outgoing (${outgoing.length})`}>
+                    <EdgeList edges={outgoing} direction="out" nodesById={nodesById} onSelectNode={onSelectNode} />
+                </Section>
+
+                <Section title="Raw JSON">
+                    <JsonBlock value={node} />
+                </Section>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+import { inputClassName } from '../lib/styles';
+
+const PARAMETER_FIELDS = [
+    { key: 'temperature', label: 'Temperature', step: 0.1, min: 0, max: 2 },
+    { key: 'max_tokens', label: 'Max tokens', step: 1, min: 1 },
+    { key: 'top_p', label: 'Top P', step: 0.05, min: 0, max: 1 },
+];
+
+// Generation parameter inputs; blank fields are stored as undefined so the
+// backend (or a broader default) applies
+export default function ParameterFields({ parameters = {}, onChange }) {
+    const updateParameter = (key, value) => {
+        onChange({ ...parameters, [key]: value === '' ? undefined : Number(value) });
+    };
+
+    return (
+        <div className="grid grid-cols-3 gap-3">
+            {PARAMETER_FIELDS.map(({ key, label, ...inputProps }) => (
+                <label key={key} className="block space-y-1">
+                    <span className="text-xs text-muted-foreground">{label}</span>
+                    <input
+                        type="number"
+                        {...inputProps}
+                        value={parameters[key] ?? ''}
+                        onChange={(e) => updateParameter(key, e.target.value)}
+                        placeholder="Default"
+                        className={inputClassName}
+                    />
+                </label>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { getModels } from '../services/agentApi';
+import { createId } from '../lib/utils';
+import { inputClassName } from '../lib/styles';
+import ParameterFields from './ParameterFields';
+
+export default function ProjectDialog({ project, onSave, onClose }) {
+    const [draft, setDraft] = useState(project);
+    const [models, setModels] = useState([]);
+
+    useEffect(() => {
+        getModels().then(setModels);
+    }, []);
+
+    const updateField = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    };
+
+    const addSnippet = () => {
+        updateField('snippets', [...draft.snippets, { id: createId(), title: '', content: '' }]);
+    };
+
+    const updateSnippet = (id, changes) => {
+        updateField('snippets', draft.snippets.map(snippet => (snippet.id === id ? { ...snippet, ...changes } : snippet)));
+    };
+
+    const removeSnippet = (id) => {
+        updateField('snippets', draft.snippets.filter(snippet => snippet.id !== id));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ ...draft, name: draft.name.trim() || 'Untitled project' });
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-card border border-border rounded-2xl shadow-xl"
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-border/50">
+                    <h2 className="text-lg font-semibold">{project.id ? 'Edit project' : 'New project'}</h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close project dialog"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    <label className="block space-y-1">
+                        <span className="text-sm text-muted-foreground">Name</span>
+                        <input
+                            autoFocus
+                            value={draft.name}
+                            onChange={(e) => updateField('name', e.target.value)}
+                            className={inputClassName}
+                        />
+                    </label>
+
+                    <label className="block space-y-1">
+                        <span className="text-sm text-muted-foreground">System prompt</span>
+                        <textarea
+                            value={draft.systemPrompt}
+                            onChange={(e) => updateField('systemPrompt', e.target.value)}
+                            rows={5}
+                            placeholder="You are a support agent for..."
+                            className={`${inputClassName} resize-y font-mono`}
+                        />
+                    </label>
+
+                    <label className="block space-y-1">
+                        <span className="text-sm text-muted-foreground">Default model</span>
+                        <select
+                            value={draft.defaultModelId || ''}
+                            onChange={(e) => updateField('defaultModelId', e.target.value || null)}
+                            className={inputClassName}
+                        >
+                            <option value="">No default</option>
+                            {models.map(model => (
+                                <option key={model.id} value={model.id}>{model.name}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <div className="space-y-1">
+                        <span className="text-sm text-muted-foreground">Request parameters</span>
+                        <ParameterFields
+                            parameters={draft.parameters}
+                            onChange={(parameters) => updateField('parameters', parameters)}
+                        />
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm text-muted-foreground">Pinned reference snippets</span>
+                            <button
+                                type="button"
+                                onClick={addSnippet}
+                                className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                            >
+                                <Plus className="w-3 h-3" />
+                                Add snippet
+                            </button>
+                        </div>
+                        {draft.snippets.map(snippet => (
+                            <div key={snippet.id} className="space-y-2 p-3 border border-border rounded-lg">
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        value={snippet.title}
+                                        onChange={(e) => updateSnippet(snippet.id, { title: e.target.value })}
+                                        placeholder="Title"
+                                        className={inputClassName}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeSnippet(snippet.id)}
+                                        className="p-2 rounded-lg hover:bg-secondary transition-colors"
+                                        aria-label="Remove snippet"
+                                    >
+                                        <Trash2 className="w-4 h-4 text-muted-foreground" />
+                                    </button>
+                                </div>
+                                <textarea
+                                    value={snippet.content}
+                                    onChange={(e) => updateSnippet(snippet.id, { content: e.target.value })}
+                                    rows={3}
+                                    placeholder="Reference text sent with every prompt"
+                                    className={`${inputClassName} resize-y font-mono`}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end gap-2 p-4 border-t border-border/50">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg hover:bg-secondary transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        className="px-4 py-2 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all"
+                    >
+                        Save
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { Search } from 'lucide-react';
+import { formatRelativeTime } from '../lib/utils';
+
+// Repeated runs of the same prompt on the same model collapse into one row
+function groupPrompts(prompts) {
+    const groups = new Map();
+    prompts.forEach(prompt => {
+        const key = `${prompt.model}\n${prompt.content}`;
+        const group = groups.get(key);
+        if (group) {
+            group.count++;
+        } else {
+            groups.set(key, { ...prompt, key, count: 1 });
+        }
+    });
+    return [...groups.values()];
+}
+
+// Searchable list of every prompt sent, across all conversations; picking
+// one puts it back in the chat input
+export default function PromptHistory({ prompts, onSelect }) {
+    const [query, setQuery] = useState('');
+    const needle = query.trim().toLowerCase();
+    const groups = groupPrompts(prompts).filter(prompt =>
+        !needle ||
+        prompt.content.toLowerCase().includes(needle) ||
+        prompt.model?.toLowerCase().includes(needle) ||
+        prompt.conversationTitle?.toLowerCase().includes(needle)
+    );
+
+    return (
+        <div className="absolute bottom-full mb-2 left-0 w-[32rem] max-w-[calc(100vw-2rem)] bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
+            <div className="flex items-center gap-2 px-3 py-2 border-b border-border/50">
+                <Search className="w-4 h-4 text-muted-foreground" />
+                <input
+                    autoFocus
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Search prompts, models or conversations"
+                    className="flex-1 bg-transparent text-sm text-foreground placeholder-muted-foreground focus:outline-none"
+                />
+            </div>
+            <div className="max-h-80 overflow-y-auto p-1">
+                {groups.length === 0 ? (
+                    <div className="px-3 py-4 text-sm text-center text-muted-foreground">
+                        {prompts.length === 0 ? 'No prompts sent yet' : 'No matching prompts'}
+                    </div>
+                ) : (
+                    groups.map(prompt => (
+                        <button
+                            key={prompt.key}
+                            type="button"
+                            onClick={() => onSelect(prompt.content)}
+                            className="w-full px-3 py-2 rounded-md text-left hover:bg-secondary/50 transition-colors"
+                        >
+                            <div className="text-sm text-foreground line-clamp-2 whitespace-pre-wrap break-words">{prompt.content}</div>
+                            <div className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+                                {prompt.model && (
+                                    <span className="px-1.5 py-0.5 rounded bg-secondary font-mono">{prompt.model}</span>
+                                )}
+                                <span title={prompt.createdAt ? new Date(prompt.createdAt).toLocaleString() : undefined}>
+                                    {formatRelativeTime(prompt.createdAt)}
+                                </span>
+                                {prompt.count > 1 && <span>· sent {prompt.count}×</span>}
+                                <span className="ml-auto truncate max-w-[12rem]">{prompt.conversationTitle}</span>
+                            </div>
+                        </button>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import { CheckCircle2, XCircle } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+// Pass/fail badge for an answer checked in structured output mode
+export function SchemaBadge({ check, className }) {
+    const problemCount = check.parseError ? 1 : check.errors.length;
+    return (
+        <span
+            className={cn(
+                'inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] leading-none font-medium',
+                check.valid ? 'bg-green-500/15 text-green-400' : 'bg-red-500/15 text-red-400',
+                className
+            )}
+            title={`Checked against the "${check.name}" schema`}
+        >
+            {check.valid ? <CheckCircle2 className="w-3 h-3" /> : <XCircle className="w-3 h-3" />}
+            {check.valid
+                ? `Matches ${check.name}`
+                : check.parseError
+                    ? 'Not JSON'
+                    : `${problemCount} schema violation${problemCount === 1 ? '' : 's'}`}
+        </span>
+    );
+}
+
+// What the reply got wrong, one line per failing JSON path
+export default function SchemaViolations({ check }) {
+    if (check.valid) return null;
+
+    return (
+        <div className="mt-2 p-3 rounded-lg border border-red-500/30 bg-red-500/10 text-xs space-y-1">
+            <div className="font-medium text-red-400">Does not match the "{check.name}" schema</div>
+            {check.parseError ? (
+                <div className="text-foreground/80">{check.parseError}</div>
+            ) : (
+                <ul className="space-y-0.5">
+                    {check.errors.map((error, index) => (
+                        <li key={index} className="flex items-start gap-2">
+                            <span className="font-mono text-red-300 whitespace-nowrap">{error.path}</span>
+                            <span className="text-foreground/80">{error.message}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
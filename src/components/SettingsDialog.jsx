@@ -0,0 +1,375 @@
+import { useState, useEffect, Fragment } from 'react';
+import { X, Plus, Trash2, Download } from 'lucide-react';
+import { getModels } from '../services/agentApi';
+import { listRecordedFixtures, clearRecordedFixtures } from '../services/mockBackend';
+import { createId, downloadFile } from '../lib/utils';
+import { inputClassName } from '../lib/styles';
+import ParameterFields from './ParameterFields';
+
+export default function SettingsDialog({ settings, onSave, onClose }) {
+    const [draft, setDraft] = useState(settings);
+    const [models, setModels] = useState([]);
+    const [parameterModelId, setParameterModelId] = useState('');
+    const [recordedFixtures, setRecordedFixtures] = useState([]);
+
+    useEffect(() => {
+        getModels().then(data => {
+            setModels(data);
+            if (data.length > 0) {
+                setParameterModelId(current => current || data[0].id);
+            }
+        });
+        listRecordedFixtures().then(setRecordedFixtures).catch(error => {
+            console.error('Error loading recorded fixtures:', error);
+        });
+    }, []);
+
+    // Saved as one JSON array, ready to drop into src/fixtures
+    const downloadRecordedFixtures = () => {
+        const fixtures = recordedFixtures.map(({ recordedAt, ...fixture }) => ({
+            ...fixture,
+            description: `Recorded ${new Date(recordedAt).toLocaleString()}`
+        }));
+        downloadFile('recorded-fixtures.json', JSON.stringify(fixtures, null, 4));
+    };
+
+    const handleClearRecordedFixtures = async () => {
+        await clearRecordedFixtures();
+        setRecordedFixtures([]);
+    };
+
+    const updateField = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    };
+
+    const addHeader = () => {
+        updateField('headers', [...draft.headers, { id: createId(), name: '', value: '' }]);
+    };
+
+    const updateHeader = (id, changes) => {
+        updateField('headers', draft.headers.map(header => (header.id === id ? { ...header, ...changes } : header)));
+    };
+
+    const removeHeader = (id) => {
+        updateField('headers', draft.headers.filter(header => header.id !== id));
+    };
+
+    const addPrice = () => {
+        updateField('modelPrices', [...draft.modelPrices, { id: createId(), model: '', input: '', output: '' }]);
+    };
+
+    const updatePrice = (id, changes) => {
+        updateField('modelPrices', draft.modelPrices.map(price => (price.id === id ? { ...price, ...changes } : price)));
+    };
+
+    const removePrice = (id) => {
+        updateField('modelPrices', draft.modelPrices.filter(price => price.id !== id));
+    };
+
+    const updateModelParameters = (parameters) => {
+        updateField('modelParameters', { ...draft.modelParameters, [parameterModelId]: parameters });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(draft);
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-card border border-border rounded-2xl shadow-xl"
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-border/50">
+                    <h2 className="text-lg font-semibold">Settings</h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close settings"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                    {/* Backend */}
+                    <section className="space-y-3">
+                        <h3 className="text-sm font-semibold">Backend</h3>
+                        <label className="block space-y-1">
+                            <span className="text-sm text-muted-foreground">Backend mode</span>
+                            <select
+                                value={draft.backendMode}
+                                onChange={(e) => updateField('backendMode', e.target.value)}
+                                className={inputClassName}
+                            >
+                                <option value="live">Live - call the backend</option>
+                                <option value="mock">Mock - answer from fixtures, no backend needed</option>
+                                <option value="record">Record - call the backend and save responses as fixtures</option>
+                            </select>
+                        </label>
+                        {draft.backendMode !== 'live' && (
+                            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                                <span className="flex-1">
+                                    {recordedFixtures.length} recorded fixture{recordedFixtures.length === 1 ? '' : 's'}
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={downloadRecordedFixtures}
+                                    disabled={recordedFixtures.length === 0}
+                                    className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors disabled:opacity-50"
+                                >
+                                    <Download className="w-3 h-3" />
+                                    Download
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleClearRecordedFixtures}
+                                    disabled={recordedFixtures.length === 0}
+                                    className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors disabled:opacity-50"
+                                >
+                                    <Trash2 className="w-3 h-3" />
+                                    Clear
+                                </button>
+                            </div>
+                        )}
+                        <label className="block space-y-1">
+                            <span className="text-sm text-muted-foreground">Base URL</span>
+                            <input
+                                value={draft.baseUrl}
+                                onChange={(e) => updateField('baseUrl', e.target.value)}
+                                placeholder="Same origin (Vite /api proxy)"
+                                className={`${inputClassName} font-mono`}
+                            />
+                        </label>
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="block space-y-1">
+                                <span className="text-sm text-muted-foreground">Request timeout (seconds, 0 to disable)</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={draft.timeoutMs / 1000}
+                                    onChange={(e) => updateField('timeoutMs', Math.max(0, Number(e.target.value)) * 1000)}
+                                    className={inputClassName}
+                                />
+                            </label>
+                            <label className="block space-y-1">
+                                <span className="text-sm text-muted-foreground">Retries on 429 / 5xx</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    max={5}
+                                    value={draft.maxRetries}
+                                    onChange={(e) => updateField('maxRetries', Math.min(5, Math.max(0, Math.round(Number(e.target.value)))))}
+                                    className={inputClassName}
+                                />
+                            </label>
+                        </div>
+                        <label className="block space-y-1">
+                            <span className="text-sm text-muted-foreground">File attachments</span>
+                            <select
+                                value={draft.attachmentMode}
+                                onChange={(e) => updateField('attachmentMode', e.target.value)}
+                                className={inputClassName}
+                            >
+                                <option value="multipart">Multipart form data (JSON body in a "payload" field)</option>
+                                <option value="base64">Base64 parts in the JSON body</option>
+                            </select>
+                        </label>
+
+                        <div className="space-y-2">
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm text-muted-foreground">Extra request headers</span>
+                                <button
+                                    type="button"
+                                    onClick={addHeader}
+                                    className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                                >
+                                    <Plus className="w-3 h-3" />
+                                    Add header
+                                </button>
+                            </div>
+                            {draft.headers.map(header => (
+                                <div key={header.id} className="flex items-center gap-2">
+                                    <input
+                                        value={header.name}
+                                        onChange={(e) => updateHeader(header.id, { name: e.target.value })}
+                                        placeholder="Authorization"
+                                        className={`${inputClassName} font-mono`}
+                                    />
+                                    <input
+                                        value={header.value}
+                                        onChange={(e) => updateHeader(header.id, { value: e.target.value })}
+                                        placeholder="Bearer ..."
+                                        className={`${inputClassName} font-mono`}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeHeader(header.id)}
+                                        className="p-2 rounded-lg hover:bg-secondary transition-colors"
+                                        aria-label="Remove header"
+                                    >
+                                        <Trash2 className="w-4 h-4 text-muted-foreground" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </section>
+
+                    {/* Conversation history */}
+                    <section className="space-y-3">
+                        <h3 className="text-sm font-semibold">Conversation history</h3>
+                        <div className="grid grid-cols-3 gap-3">
+                            <label className="block space-y-1">
+                                <span className="text-xs text-muted-foreground">Request format</span>
+                                <select
+                                    value={draft.historyMode}
+                                    onChange={(e) => updateField('historyMode', e.target.value)}
+                                    className={inputClassName}
+                                >
+                                    <option value="conversation">Full conversation</option>
+                                    <option value="single">Single message</option>
+                                </select>
+                            </label>
+                            <label className="block space-y-1">
+                                <span className="text-xs text-muted-foreground">Max messages</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={draft.maxHistoryMessages}
+                                    onChange={(e) => updateField('maxHistoryMessages', Number(e.target.value))}
+                                    disabled={draft.historyMode === 'single'}
+                                    className={inputClassName}
+                                />
+                            </label>
+                            <label className="block space-y-1">
+                                <span className="text-xs text-muted-foreground">Token budget</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    value={draft.maxHistoryTokens}
+                                    onChange={(e) => updateField('maxHistoryTokens', Number(e.target.value))}
+                                    disabled={draft.historyMode === 'single'}
+                                    className={inputClassName}
+                                />
+                            </label>
+                        </div>
+                    </section>
+
+                    {/* Per-model generation parameters */}
+                    <section className="space-y-3">
+                        <h3 className="text-sm font-semibold">Model parameters</h3>
+                        {models.length === 0 ? (
+                            <div className="text-sm text-muted-foreground">No models available from the backend.</div>
+                        ) : (
+                            <>
+                                <select
+                                    value={parameterModelId}
+                                    onChange={(e) => setParameterModelId(e.target.value)}
+                                    className={inputClassName}
+                                >
+                                    {models.map(model => (
+                                        <option key={model.id} value={model.id}>{model.name}</option>
+                                    ))}
+                                </select>
+                                <ParameterFields
+                                    parameters={draft.modelParameters[parameterModelId]}
+                                    onChange={updateModelParameters}
+                                />
+                            </>
+                        )}
+                    </section>
+
+                    {/* Prices for the usage and cost estimates */}
+                    <section className="space-y-3">
+                        <div className="flex items-center justify-between">
+                            <h3 className="text-sm font-semibold">Model prices</h3>
+                            <button
+                                type="button"
+                                onClick={addPrice}
+                                className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                            >
+                                <Plus className="w-3 h-3" />
+                                Add model
+                            </button>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                            USD per million tokens. Answers from models without a price show tokens but no cost.
+                        </p>
+                        {draft.modelPrices.length > 0 && (
+                            <div className="grid grid-cols-[1fr_7rem_7rem_auto] gap-2 items-center">
+                                <span className="text-xs text-muted-foreground">Model</span>
+                                <span className="text-xs text-muted-foreground">Prompt</span>
+                                <span className="text-xs text-muted-foreground">Completion</span>
+                                <span />
+                                {draft.modelPrices.map(price => (
+                                    <Fragment key={price.id}>
+                                        <input
+                                            value={price.model}
+                                            onChange={(e) => updatePrice(price.id, { model: e.target.value })}
+                                            placeholder="Model id"
+                                            list="price-model-ids"
+                                            className={`${inputClassName} font-mono`}
+                                        />
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            step="any"
+                                            value={price.input}
+                                            onChange={(e) => updatePrice(price.id, { input: e.target.value })}
+                                            aria-label={`Prompt price for ${price.model || 'model'}`}
+                                            className={inputClassName}
+                                        />
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            step="any"
+                                            value={price.output}
+                                            onChange={(e) => updatePrice(price.id, { output: e.target.value })}
+                                            aria-label={`Completion price for ${price.model || 'model'}`}
+                                            className={inputClassName}
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => removePrice(price.id)}
+                                            className="p-2 rounded-lg hover:bg-secondary transition-colors"
+                                            aria-label="Remove price"
+                                        >
+                                            <Trash2 className="w-4 h-4 text-muted-foreground" />
+                                        </button>
+                                    </Fragment>
+                                ))}
+                            </div>
+                        )}
+                        <datalist id="price-model-ids">
+                            {models.map(model => (
+                                <option key={model.id} value={model.id} />
+                            ))}
+                        </datalist>
+                    </section>
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end gap-2 p-4 border-t border-border/50">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg hover:bg-secondary transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        className="px-4 py-2 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all"
+                    >
+                        Save
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -1,7 +1,160 @@
-import { Menu, Plus, MessageSquare, FileCode, Settings, User } from 'lucide-react';
-import { cn } from '../lib/utils';
+import { useState } from 'react';
+import { Menu, Plus, MessageSquare, FileCode, Settings, User, Search, Pencil, Trash2, Check, X } from 'lucide-react';
+import { cn, formatRelativeTime } from '../lib/utils';
+import { searchConversations } from '../services/conversationStore';
+
+function ProjectItem({ project, isActive, onSelect, onEdit, onDelete }) {
+    const handleEdit = (e) => {
+        e.stopPropagation();
+        onEdit(project);
+    };
+
+    const handleDelete = (e) => {
+        e.stopPropagation();
+        if (window.confirm(`Delete project "${project.name}"? Its conversations are kept.`)) {
+            onDelete(project.id);
+        }
+    };
+
+    return (
+        <div
+            onClick={() => onSelect(project.id)}
+            title="Start a new chat in this project"
+            className={cn(
+                'group/item flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer transition-colors',
+                isActive ? 'bg-secondary text-foreground' : 'text-muted-foreground hover:bg-secondary/50 hover:text-foreground'
+            )}
+        >
+            <div className="flex-1 min-w-0 text-sm truncate">{project.name}</div>
+            <div className="hidden group-hover/item:flex items-center">
+                <button onClick={handleEdit} className="p-1 rounded hover:bg-background/50" aria-label="Edit project">
+                    <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={handleDelete} className="p-1 rounded hover:bg-background/50" aria-label="Delete project">
+                    <Trash2 className="w-3.5 h-3.5" />
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function ConversationItem({ conversation, projectName, isActive, onSelect, onRename, onDelete }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [title, setTitle] = useState(conversation.title);
+
+    const startEditing = (e) => {
+        e.stopPropagation();
+        setTitle(conversation.title);
+        setIsEditing(true);
+    };
+
+    const submitRename = (e) => {
+        e.preventDefault();
+        const trimmed = title.trim();
+        if (trimmed && trimmed !== conversation.title) {
+            onRename(conversation.id, trimmed);
+        }
+        setIsEditing(false);
+    };
+
+    const handleDelete = (e) => {
+        e.stopPropagation();
+        if (window.confirm(`Delete "${conversation.title}"?`)) {
+            onDelete(conversation.id);
+        }
+    };
+
+    if (isEditing) {
+        return (
+            <form onSubmit={submitRename} className="flex items-center gap-1 px-2 py-1.5">
+                <input
+                    autoFocus
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                    className="flex-1 min-w-0 bg-secondary rounded px-2 py-1 text-sm text-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+                />
+                <button type="submit" className="p-1 rounded hover:bg-secondary" aria-label="Save title">
+                    <Check className="w-3.5 h-3.5 text-primary" />
+                </button>
+                <button type="button" onClick={() => setIsEditing(false)} className="p-1 rounded hover:bg-secondary" aria-label="Cancel rename">
+                    <X className="w-3.5 h-3.5 text-muted-foreground" />
+                </button>
+            </form>
+        );
+    }
+
+    return (
+        <div
+            onClick={() => onSelect(conversation.id)}
+            className={cn(
+                'group/item flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer transition-colors',
+                isActive ? 'bg-secondary text-foreground' : 'text-muted-foreground hover:bg-secondary/50 hover:text-foreground'
+            )}
+        >
+            <div className="flex-1 min-w-0">
+                <div className="text-sm truncate">{conversation.title}</div>
+                <div className="text-[11px] text-muted-foreground truncate">
+                    {formatRelativeTime(conversation.updatedAt)}
+                    {projectName && ` · ${projectName}`}
+                </div>
+            </div>
+            <div className="hidden group-hover/item:flex items-center">
+                <button onClick={startEditing} className="p-1 rounded hover:bg-background/50" aria-label="Rename conversation">
+                    <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={handleDelete} className="p-1 rounded hover:bg-background/50" aria-label="Delete conversation">
+                    <Trash2 className="w-3.5 h-3.5" />
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default function Sidebar({
+    isOpen,
+    toggleSidebar,
+    conversations = [],
+    activeConversationId,
+    onNewChat,
+    onSelectConversation,
+    onRenameConversation,
+    onDeleteConversation,
+    projects = [],
+    activeProjectId,
+    onSelectProject,
+    onCreateProject,
+    onEditProject,
+    onDeleteProject,
+    onOpenSettings
+}) {
+    const [showRecents, setShowRecents] = useState(true);
+    const [showProjects, setShowProjects] = useState(false);
+    const [searchQuery, setSearchQuery] = useState('');
+
+    const filteredConversations = searchConversations(conversations, searchQuery);
+
+    const handleRecentsClick = () => {
+        // Collapsed sidebar has no room for the list, so expand it first
+        if (!isOpen) {
+            toggleSidebar();
+            setShowRecents(true);
+        } else {
+            setShowRecents(prev => !prev);
+        }
+    };
+
+    const handleProjectsClick = () => {
+        if (!isOpen) {
+            toggleSidebar();
+            setShowProjects(true);
+        } else {
+            setShowProjects(prev => !prev);
+        }
+    };
+
+    const projectNames = Object.fromEntries(projects.map(project => [project.id, project.name]));
 
-export default function Sidebar({ isOpen, toggleSidebar }) {
     return (
         <>
             {/* Sidebar */}
@@ -20,27 +173,97 @@ export default function Sidebar({ isOpen, toggleSidebar }) {
                         >
                             <Menu className="w-5 h-5 text-muted-foreground" />
                         </button>
-                        <button className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors text-primary">
+                        <button
+                            onClick={() => onNewChat()}
+                            className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors text-primary"
+                        >
                             <Plus className="w-5 h-5" />
                             {isOpen && <span className="ml-3 text-sm">New Chat</span>}
                         </button>
                     </div>
 
                     {/* Navigation Icons */}
-                    <div className="flex-1 p-4 space-y-2">
-                        <button className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors">
+                    <div className="flex-1 min-h-0 flex flex-col p-4 space-y-2">
+                        <button
+                            onClick={handleRecentsClick}
+                            className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors"
+                        >
                             <MessageSquare className="w-5 h-5 text-muted-foreground" />
                             {isOpen && <span className="ml-3 text-sm text-muted-foreground">Recents</span>}
                         </button>
-                        <button className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors">
+
+                        {/* Recent conversations */}
+                        {isOpen && showRecents && (
+                            <div className="flex-1 min-h-0 flex flex-col space-y-2">
+                                <div className="relative">
+                                    <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-muted-foreground" />
+                                    <input
+                                        value={searchQuery}
+                                        onChange={(e) => setSearchQuery(e.target.value)}
+                                        placeholder="Search chats"
+                                        className="w-full bg-secondary rounded-lg pl-7 pr-2 py-1.5 text-sm text-foreground placeholder-muted-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+                                    />
+                                </div>
+                                <div className="flex-1 min-h-0 overflow-y-auto space-y-0.5">
+                                    {filteredConversations.length === 0 ? (
+                                        <div className="px-2 py-1.5 text-xs text-muted-foreground">
+                                            {searchQuery ? 'No matching chats' : 'No conversations yet'}
+                                        </div>
+                                    ) : (
+                                        filteredConversations.map(conversation => (
+                                            <ConversationItem
+                                                key={conversation.id}
+                                                conversation={conversation}
+                                                projectName={projectNames[conversation.projectId]}
+                                                isActive={conversation.id === activeConversationId}
+                                                onSelect={onSelectConversation}
+                                                onRename={onRenameConversation}
+                                                onDelete={onDeleteConversation}
+                                            />
+                                        ))
+                                    )}
+                                </div>
+                            </div>
+                        )}
+
+                        <button
+                            onClick={handleProjectsClick}
+                            className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors"
+                        >
                             <FileCode className="w-5 h-5 text-muted-foreground" />
                             {isOpen && <span className="ml-3 text-sm text-muted-foreground">Projects</span>}
                         </button>
+
+                        {/* Projects */}
+                        {isOpen && showProjects && (
+                            <div className="max-h-48 overflow-y-auto space-y-0.5">
+                                {projects.map(project => (
+                                    <ProjectItem
+                                        key={project.id}
+                                        project={project}
+                                        isActive={project.id === activeProjectId}
+                                        onSelect={onSelectProject}
+                                        onEdit={onEditProject}
+                                        onDelete={onDeleteProject}
+                                    />
+                                ))}
+                                <button
+                                    onClick={onCreateProject}
+                                    className="w-full flex items-center gap-2 px-2 py-1.5 text-sm rounded-lg text-primary hover:bg-secondary/50 transition-colors"
+                                >
+                                    <Plus className="w-3.5 h-3.5" />
+                                    New project
+                                </button>
+                            </div>
+                        )}
                     </div>
 
                     {/* Bottom Section */}
                     <div className="p-4 space-y-2 border-t border-border">
-                        <button className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors">
+                        <button
+                            onClick={onOpenSettings}
+                            className="w-full flex items-center justify-start p-2 rounded-lg hover:bg-secondary transition-colors"
+                        >
                             <Settings className="w-5 h-5 text-muted-foreground" />
                             {isOpen && <span className="ml-3 text-sm text-muted-foreground">Settings</span>}
                         </button>
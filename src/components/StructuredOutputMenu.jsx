@@ -0,0 +1,135 @@
+import { useState, useRef, useEffect } from 'react';
+import { Braces } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { inputClassName } from '../lib/styles';
+
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const EXAMPLE_SCHEMA = {
+    type: 'object',
+    properties: {
+        answer: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['answer', 'confidence'],
+    additionalProperties: false
+};
+
+function parseSchema(text) {
+    try {
+        const schema = JSON.parse(text);
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return { error: 'The schema must be a JSON object' };
+        }
+        return { schema };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Toggle and editor for structured output mode: while a schema is set
+// (`value` is { name, schema }) every prompt asks for JSON matching it
+export default function StructuredOutputMenu({ value, onChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [text, setText] = useState('');
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const open = () => {
+        setName(value?.name || 'response');
+        setText(JSON.stringify(value?.schema || EXAMPLE_SCHEMA, null, 2));
+        setIsOpen(true);
+    };
+
+    const parsed = parseSchema(text);
+    const error = !SCHEMA_NAME_PATTERN.test(name)
+        ? 'Name must be 1-64 letters, digits, _ or -'
+        : parsed.error;
+
+    const apply = () => {
+        onChange({ name, schema: parsed.schema });
+        setIsOpen(false);
+    };
+
+    const turnOff = () => {
+        onChange(null);
+        setIsOpen(false);
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                type="button"
+                onClick={() => (isOpen ? setIsOpen(false) : open())}
+                className={cn(
+                    'flex items-center gap-1 p-1.5 rounded-lg transition-colors',
+                    value
+                        ? 'bg-primary/20 text-primary'
+                        : 'text-muted-foreground hover:bg-secondary hover:text-foreground'
+                )}
+                aria-label="Structured output"
+                aria-pressed={Boolean(value)}
+                title={value ? `Replies must match the "${value.name}" schema` : 'Ask for JSON matching a schema'}
+            >
+                <Braces className="w-4 h-4" />
+                {value && <span className="text-xs font-mono max-w-[8rem] truncate">{value.name}</span>}
+            </button>
+
+            {isOpen && (
+                <div className="absolute bottom-full mb-2 left-0 w-96 bg-popover border border-border rounded-lg shadow-xl z-50 p-3 space-y-2">
+                    <div className="text-sm font-semibold">Structured output</div>
+                    <p className="text-xs text-muted-foreground">
+                        Sent as a <code>json_schema</code> response format; each reply is checked against the schema.
+                    </p>
+                    <input
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Schema name"
+                        aria-label="Schema name"
+                        className={`${inputClassName} font-mono`}
+                    />
+                    <textarea
+                        autoFocus
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        rows={12}
+                        spellCheck={false}
+                        aria-label="JSON Schema"
+                        className={`${inputClassName} resize-y font-mono text-xs`}
+                    />
+                    {error && <div className="text-xs text-red-400">{error}</div>}
+                    <div className="flex justify-end gap-2">
+                        {value && (
+                            <button
+                                type="button"
+                                onClick={turnOff}
+                                className="px-3 py-1.5 text-xs rounded-lg hover:bg-secondary transition-colors"
+                            >
+                                Turn off
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={apply}
+                            disabled={Boolean(error)}
+                            className="px-3 py-1.5 text-xs rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all disabled:opacity-50"
+                        >
+                            {value ? 'Update schema' : 'Use schema'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { Wrench, FlaskConical, Send } from 'lucide-react';
+import { formatArguments } from '../lib/tools';
+import { inputClassName } from '../lib/styles';
+
+function ToolCallCard({ call, tool, result, onResultChange }) {
+    const args = formatArguments(call.arguments);
+
+    return (
+        <div className="border border-border rounded-lg bg-card/50 text-sm">
+            <div className="flex items-center gap-2 px-3 py-2 border-b border-border/50">
+                <Wrench className="w-3.5 h-3.5 text-primary" />
+                <span className="font-mono font-semibold">{call.name || 'unnamed tool'}</span>
+                {!tool && <span className="text-xs text-amber-400">Not defined in Tools</span>}
+                <span className="ml-auto text-[10px] font-mono text-muted-foreground truncate">{call.id}</span>
+            </div>
+            <div className="px-3 py-2 space-y-2">
+                <div className="space-y-1">
+                    <div className="text-xs text-muted-foreground">Arguments</div>
+                    <pre className="text-xs font-mono whitespace-pre-wrap break-words bg-secondary/50 rounded-md px-2 py-1.5">{args.text}</pre>
+                    {args.error && <div className="text-xs text-red-400">Not valid JSON: {args.error}</div>}
+                </div>
+                <div className="space-y-1">
+                    <div className="flex items-center justify-between">
+                        <span className="text-xs text-muted-foreground">Result</span>
+                        {onResultChange && tool?.mock.trim() && (
+                            <button
+                                type="button"
+                                onClick={() => onResultChange(tool.mock.trim())}
+                                className="inline-flex items-center gap-1 text-xs text-primary hover:underline"
+                            >
+                                <FlaskConical className="w-3 h-3" />
+                                Use mock
+                            </button>
+                        )}
+                    </div>
+                    {onResultChange ? (
+                        <textarea
+                            value={result}
+                            onChange={(e) => onResultChange(e.target.value)}
+                            rows={3}
+                            spellCheck={false}
+                            placeholder="Type or paste what the tool returned"
+                            className={`${inputClassName} resize-y font-mono text-xs`}
+                        />
+                    ) : call.result !== null && call.result !== undefined ? (
+                        <pre className="text-xs font-mono whitespace-pre-wrap break-words bg-secondary/50 rounded-md px-2 py-1.5">{call.result}</pre>
+                    ) : (
+                        <div className="text-xs text-muted-foreground">No result sent</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// The tool calls of an answer. With onSubmit, unanswered calls take a result
+// each and Send results continues the turn; otherwise they are read-only.
+export default function ToolCalls({ toolCalls, tools = [], onSubmit }) {
+    const [results, setResults] = useState(() => Object.fromEntries(toolCalls.map(call => [call.id, call.result ?? ''])));
+    const answered = toolCalls.every(call => call.result !== null && call.result !== undefined);
+    const editable = Boolean(onSubmit) && !answered;
+    const findTool = (name) => tools.find(tool => tool.name === name);
+    const mockable = toolCalls.some(call => findTool(call.name)?.mock.trim());
+
+    const fillFromMocks = () => {
+        setResults(prev => Object.fromEntries(toolCalls.map(call => [call.id, findTool(call.name)?.mock.trim() || prev[call.id]])));
+    };
+
+    return (
+        <div className="space-y-2 mt-2">
+            {toolCalls.map(call => (
+                <ToolCallCard
+                    key={call.id}
+                    call={call}
+                    tool={findTool(call.name)}
+                    result={results[call.id]}
+                    onResultChange={editable ? (value) => setResults(prev => ({ ...prev, [call.id]: value })) : null}
+                />
+            ))}
+            {editable && (
+                <div className="flex justify-end gap-2">
+                    {mockable && (
+                        <button
+                            type="button"
+                            onClick={fillFromMocks}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-lg bg-secondary text-muted-foreground hover:text-foreground transition-colors"
+                        >
+                            <FlaskConical className="w-3 h-3" />
+                            Fill from mocks
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => onSubmit(results)}
+                        disabled={toolCalls.some(call => !results[call.id]?.trim())}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all disabled:opacity-50"
+                    >
+                        <Send className="w-3 h-3" />
+                        Send result{toolCalls.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
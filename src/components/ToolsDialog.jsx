@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { createTool, validateTool } from '../lib/tools';
+import { inputClassName } from '../lib/styles';
+
+// Tool definitions sent with chat requests, each with an optional mock result
+// for answering its calls without a real implementation
+export default function ToolsDialog({ tools, autoRespond, onSave, onClose }) {
+    const [draft, setDraft] = useState(tools);
+    const [autoRespondDraft, setAutoRespondDraft] = useState(autoRespond);
+    const [showErrors, setShowErrors] = useState(false);
+
+    const errors = Object.fromEntries(draft.map(tool => [tool.id, validateTool(tool, draft)]));
+
+    const addTool = () => {
+        setDraft(prev => [...prev, createTool()]);
+    };
+
+    const updateTool = (id, changes) => {
+        setDraft(prev => prev.map(tool => (tool.id === id ? { ...tool, ...changes } : tool)));
+    };
+
+    const removeTool = (id) => {
+        setDraft(prev => prev.filter(tool => tool.id !== id));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (Object.values(errors).some(Boolean)) {
+            setShowErrors(true);
+            return;
+        }
+        onSave({ tools: draft, autoRespondTools: autoRespondDraft });
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-card border border-border rounded-2xl shadow-xl"
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-border/50">
+                    <h2 className="text-lg font-semibold">Tools</h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close tools"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    <div className="flex items-center justify-between gap-4">
+                        <p className="text-xs text-muted-foreground">
+                            Enabled tools are sent with every prompt as OpenAI-style <code>tools</code>. When the model calls one, type or paste the result under its answer, or fill it from the mock.
+                        </p>
+                        <button
+                            type="button"
+                            onClick={addTool}
+                            className="flex-shrink-0 flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                        >
+                            <Plus className="w-3 h-3" />
+                            Add tool
+                        </button>
+                    </div>
+
+                    <label className="flex items-center gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            checked={autoRespondDraft}
+                            onChange={(e) => setAutoRespondDraft(e.target.checked)}
+                        />
+                        Answer tool calls from the mock results automatically
+                    </label>
+
+                    {draft.length === 0 && (
+                        <div className="text-sm text-muted-foreground">No tools defined.</div>
+                    )}
+
+                    {draft.map(tool => (
+                        <div key={tool.id} className="space-y-2 p-3 border border-border rounded-lg">
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={tool.enabled}
+                                    onChange={(e) => updateTool(tool.id, { enabled: e.target.checked })}
+                                    aria-label={`Send ${tool.name || 'this tool'} with prompts`}
+                                    title="Send with prompts"
+                                />
+                                <input
+                                    value={tool.name}
+                                    onChange={(e) => updateTool(tool.id, { name: e.target.value })}
+                                    placeholder="function_name"
+                                    className={`${inputClassName} font-mono`}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => removeTool(tool.id)}
+                                    className="p-2 rounded-lg hover:bg-secondary transition-colors"
+                                    aria-label="Remove tool"
+                                >
+                                    <Trash2 className="w-4 h-4 text-muted-foreground" />
+                                </button>
+                            </div>
+                            <input
+                                value={tool.description}
+                                onChange={(e) => updateTool(tool.id, { description: e.target.value })}
+                                placeholder="What the tool does, for the model"
+                                className={inputClassName}
+                            />
+                            <div className="grid grid-cols-2 gap-2">
+                                <label className="block space-y-1">
+                                    <span className="text-xs text-muted-foreground">Parameters (JSON Schema)</span>
+                                    <textarea
+                                        value={tool.parameters}
+                                        onChange={(e) => updateTool(tool.id, { parameters: e.target.value })}
+                                        rows={8}
+                                        spellCheck={false}
+                                        className={`${inputClassName} resize-y font-mono text-xs`}
+                                    />
+                                </label>
+                                <label className="block space-y-1">
+                                    <span className="text-xs text-muted-foreground">Mock result (JSON, optional)</span>
+                                    <textarea
+                                        value={tool.mock}
+                                        onChange={(e) => updateTool(tool.id, { mock: e.target.value })}
+                                        rows={8}
+                                        spellCheck={false}
+                                        placeholder='{ "status": "ok" }'
+                                        className={`${inputClassName} resize-y font-mono text-xs`}
+                                    />
+                                </label>
+                            </div>
+                            {showErrors && errors[tool.id] && (
+                                <div className="text-xs text-red-400">{errors[tool.id]}</div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end gap-2 p-4 border-t border-border/50">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg hover:bg-secondary transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        className="px-4 py-2 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all"
+                    >
+                        Save
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+import { useState, useRef, useEffect } from 'react';
+import { BarChart3, Settings } from 'lucide-react';
+import { summarizeUsage, formatCost, formatSeconds } from '../lib/usage';
+
+function UsageRow({ label, summary, className }) {
+    const approx = summary.estimated ? '~' : '';
+    return (
+        <tr className={className}>
+            <td className="py-1 pr-3 font-mono truncate max-w-[10rem]">{label}</td>
+            <td className="py-1 px-2 text-right">{summary.replies}</td>
+            <td className="py-1 px-2 text-right">{approx}{summary.promptTokens.toLocaleString()}</td>
+            <td className="py-1 px-2 text-right">{approx}{summary.completionTokens.toLocaleString()}</td>
+            <td className="py-1 px-2 text-right">{formatSeconds(summary.latencyMs)}</td>
+            <td className="py-1 pl-2 text-right">
+                {summary.priced > 0 ? `${approx}${formatCost(summary.cost)}` : '—'}
+            </td>
+        </tr>
+    );
+}
+
+// Running token, time and cost totals for the thread (the active branch),
+// with a per-model breakdown
+export default function UsageSummary({ messages, prices, onEditPrices }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const summary = summarizeUsage(messages, prices);
+    if (summary.replies === 0) return null;
+
+    const approx = summary.estimated ? '~' : '';
+
+    return (
+        <div className="relative ml-auto" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-lg bg-secondary text-muted-foreground hover:text-foreground transition-colors"
+                title="Usage and estimated cost of this conversation"
+            >
+                <BarChart3 className="w-3 h-3" />
+                {approx}{summary.totalTokens.toLocaleString()} tokens
+                {summary.priced > 0 && ` · ${approx}${formatCost(summary.cost)}`}
+            </button>
+
+            {isOpen && (
+                <div className="absolute bottom-full mb-2 right-0 w-[28rem] bg-popover border border-border rounded-lg shadow-xl z-50 p-3 space-y-2">
+                    <div className="text-sm font-semibold">Conversation usage</div>
+                    <table className="w-full text-xs tabular-nums">
+                        <thead className="text-muted-foreground">
+                            <tr>
+                                <th className="pb-1 pr-3 text-left font-normal">Model</th>
+                                <th className="pb-1 px-2 text-right font-normal">Replies</th>
+                                <th className="pb-1 px-2 text-right font-normal">Prompt</th>
+                                <th className="pb-1 px-2 text-right font-normal">Completion</th>
+                                <th className="pb-1 px-2 text-right font-normal">Time</th>
+                                <th className="pb-1 pl-2 text-right font-normal">Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.models.map(model => (
+                                <UsageRow key={model.model} label={model.model} summary={model} />
+                            ))}
+                            {summary.models.length > 1 && (
+                                <UsageRow label="Total" summary={summary} className="border-t border-border/50 font-semibold" />
+                            )}
+                        </tbody>
+                    </table>
+                    <div className="text-xs text-muted-foreground space-y-1">
+                        {summary.estimated && (
+                            <div>~ Estimated on the client (about 4 characters per token) where the backend reported no usage.</div>
+                        )}
+                        {summary.unpriced > 0 && (
+                            <div>{summary.unpriced} repl{summary.unpriced === 1 ? 'y has' : 'ies have'} no price and {summary.unpriced === 1 ? 'is' : 'are'} left out of the cost.</div>
+                        )}
+                    </div>
+                    {onEditPrices && (
+                        <button
+                            onClick={() => {
+                                setIsOpen(false);
+                                onEditPrices();
+                            }}
+                            className="inline-flex items-center gap-1 text-xs text-primary hover:underline"
+                        >
+                            <Settings className="w-3 h-3" />
+                            Edit prices
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
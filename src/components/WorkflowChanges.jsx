@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronUp, GitCompare } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+const CHANGE_STYLES = {
+    added: { label: 'Added', text: 'text-green-400' },
+    removed: { label: 'Removed', text: 'text-red-400' },
+    changed: { label: 'Changed', text: 'text-amber-400' },
+};
+
+function SideToggle({ side, onSideChange, baselineLabel }) {
+    return (
+        <div className="flex items-center p-0.5 bg-secondary rounded-lg">
+            {[['before', baselineLabel], ['after', 'Current']].map(([value, label]) => (
+                <button
+                    key={value}
+                    onClick={() => onSideChange(value)}
+                    className={cn(
+                        'px-2 py-0.5 rounded-md transition-colors',
+                        side === value ? 'bg-card text-foreground shadow' : 'text-muted-foreground hover:text-foreground'
+                    )}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// Collapsible list of node changes between the baseline and the current
+// wave, shown above the diagnostics bar while comparing versions
+export default function WorkflowChanges({ changes, side, onSideChange, baselineLabel, onSelectChange }) {
+    const [expanded, setExpanded] = useState(true);
+    const counts = Object.fromEntries(Object.keys(CHANGE_STYLES).map(status => [
+        status,
+        changes.filter(change => change.status === status).length
+    ]));
+
+    return (
+        <div className="flex-shrink-0 bg-card border-t border-border">
+            <div className="flex items-center gap-3 px-3 py-1.5 text-xs">
+                <GitCompare className="w-3.5 h-3.5 text-muted-foreground" />
+                {changes.length === 0 ? (
+                    <span className="text-muted-foreground">No node changes since {baselineLabel}</span>
+                ) : (
+                    Object.entries(CHANGE_STYLES).map(([status, style]) => (
+                        <span key={status} className={counts[status] ? style.text : 'text-muted-foreground'}>
+                            {counts[status]} {style.label.toLowerCase()}
+                        </span>
+                    ))
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                    <SideToggle side={side} onSideChange={onSideChange} baselineLabel={baselineLabel} />
+                    {changes.length > 0 && (
+                        <button
+                            onClick={() => setExpanded(prev => !prev)}
+                            className="text-muted-foreground hover:text-foreground"
+                            aria-label={expanded ? 'Hide changes' : 'Show changes'}
+                        >
+                            {expanded ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronUp className="w-3.5 h-3.5" />}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {expanded && changes.length > 0 && (
+                <ul className="max-h-48 overflow-y-auto px-1 pb-2 space-y-0.5">
+                    {changes.map(change => (
+                        <li key={change.id}>
+                            <button
+                                onClick={() => onSelectChange(change)}
+                                className="w-full flex items-start gap-2 px-2 py-1 rounded text-left text-xs hover:bg-secondary transition-colors"
+                            >
+                                <span className={cn('w-16 flex-shrink-0 font-semibold', CHANGE_STYLES[change.status].text)}>
+                                    {CHANGE_STYLES[change.status].label}
+                                </span>
+                                <span className="font-mono text-foreground">{change.id}</span>
+                                {change.fields.length > 0 && (
+                                    <span className="truncate text-muted-foreground">{change.fields.join(', ')}</span>
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle2, ChevronDown, ChevronUp } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+function DiagnosticIcon({ severity }) {
+    return severity === 'error'
+        ? <AlertCircle className="w-3.5 h-3.5 flex-shrink-0 text-red-400" />
+        : <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 text-yellow-400" />;
+}
+
+// Clickable list of validator findings; picking one focuses its node
+export function DiagnosticsList({ diagnostics, onSelectNode }) {
+    return (
+        <ul className="space-y-0.5">
+            {diagnostics.map((diagnostic, index) => (
+                <li key={index}>
+                    <button
+                        onClick={() => diagnostic.nodeId && onSelectNode?.(diagnostic.nodeId)}
+                        disabled={!diagnostic.nodeId || !onSelectNode}
+                        className="w-full flex items-start gap-2 px-2 py-1 rounded text-left text-xs enabled:hover:bg-secondary transition-colors"
+                    >
+                        <DiagnosticIcon severity={diagnostic.severity} />
+                        <span className="flex-1 text-foreground/90">{diagnostic.message}</span>
+                        <span className="font-mono text-muted-foreground">{diagnostic.nodeId || diagnostic.path}</span>
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+// Collapsible diagnostics bar below the workflow canvas
+export default function WorkflowDiagnostics({ diagnostics, onSelectNode }) {
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    const [expanded, setExpanded] = useState(errorCount > 0);
+
+    return (
+        <div className="flex-shrink-0 bg-card border-t border-border">
+            <button
+                onClick={() => setExpanded(prev => !prev)}
+                disabled={diagnostics.length === 0}
+                className="w-full flex items-center gap-3 px-3 py-1.5 text-xs"
+            >
+                {diagnostics.length === 0 ? (
+                    <span className="flex items-center gap-1.5 text-green-400">
+                        <CheckCircle2 className="w-3.5 h-3.5" />
+                        No problems found
+                    </span>
+                ) : (
+                    <>
+                        <span className={cn('flex items-center gap-1', errorCount ? 'text-red-400' : 'text-muted-foreground')}>
+                            <AlertCircle className="w-3.5 h-3.5" />
+                            {errorCount} {errorCount === 1 ? 'error' : 'errors'}
+                        </span>
+                        <span className={cn('flex items-center gap-1', warningCount ? 'text-yellow-400' : 'text-muted-foreground')}>
+                            <AlertTriangle className="w-3.5 h-3.5" />
+                            {warningCount} {warningCount === 1 ? 'warning' : 'warnings'}
+                        </span>
+                        <span className="ml-auto text-muted-foreground">
+                            {expanded ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronUp className="w-3.5 h-3.5" />}
+                        </span>
+                    </>
+                )}
+            </button>
+            {expanded && diagnostics.length > 0 && (
+                <div className="max-h-48 overflow-y-auto px-1 pb-2">
+                    <DiagnosticsList diagnostics={diagnostics} onSelectNode={onSelectNode} />
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import { useState, useRef, useEffect } from 'react';
+import { Download, Check, ChevronDown } from 'lucide-react';
+import { downloadFile } from '../lib/utils';
+import { waveToMermaid, waveToSvg, svgToPng } from '../lib/waveExport';
+
+// Export actions for the canvas toolbar: images of the graph and a Mermaid
+// definition for pasting into docs and tickets. `layout` is the canvas'
+// { direction, collapsed }, so exports look like what is on screen.
+export default function WorkflowExportMenu({ workflow, layout, filename = 'workflow' }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const exportSvg = () => {
+        downloadFile(`${filename}.svg`, waveToSvg(workflow, layout), 'image/svg+xml');
+    };
+
+    const exportPng = async () => {
+        try {
+            downloadFile(`${filename}.png`, await svgToPng(waveToSvg(workflow, layout)), 'image/png');
+        } catch (error) {
+            console.error('Failed to export PNG:', error);
+        }
+    };
+
+    const copyMermaid = async () => {
+        try {
+            await navigator.clipboard.writeText(waveToMermaid(workflow, layout));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy Mermaid:', error);
+        }
+    };
+
+    const downloadMermaid = () => {
+        downloadFile(`${filename}.mmd`, waveToMermaid(workflow, layout), 'text/plain');
+    };
+
+    const items = [
+        { id: 'svg', label: 'SVG image', action: exportSvg },
+        { id: 'png', label: 'PNG image', action: exportPng },
+        { id: 'mermaid', label: copied ? 'Copied Mermaid' : 'Copy Mermaid', action: copyMermaid, keepOpen: true, done: copied },
+        { id: 'mmd', label: 'Mermaid file (.mmd)', action: downloadMermaid },
+    ];
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                aria-label="Export workflow"
+            >
+                <Download className="w-3.5 h-3.5" />
+                Export
+                <ChevronDown className="w-3 h-3 text-muted-foreground" />
+            </button>
+
+            {isOpen && (
+                <div className="absolute top-full mt-1 right-0 w-48 bg-popover border border-border rounded-lg shadow-xl overflow-hidden z-50">
+                    <div className="p-1">
+                        {items.map(item => (
+                            <button
+                                key={item.id}
+                                onClick={() => {
+                                    item.action();
+                                    if (!item.keepOpen) setIsOpen(false);
+                                }}
+                                className="w-full flex items-center justify-between px-3 py-2 text-sm rounded-md text-muted-foreground hover:bg-secondary/50 hover:text-foreground transition-colors"
+                            >
+                                {item.label}
+                                {item.done && <Check className="w-3 h-3 text-primary" />}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,22 +1,85 @@
-import { useCallback, useMemo } from 'react';
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
 import ReactFlow, {
     Background,
     Controls,
+    Handle,
     MiniMap,
+    Panel,
+    ReactFlowProvider,
     useNodesState,
     useEdgesState,
+    useReactFlow,
 } from 'reactflow';
+import {
+    ArrowDown,
+    ArrowRight,
+    Check,
+    ChevronDown,
+    ChevronRight,
+    ChevronsDownUp,
+    ChevronsUpDown,
+    Copy,
+    Download,
+    Pencil,
+    Play,
+    Send,
+    Undo2,
+} from 'lucide-react';
+import { cn, downloadFile } from '../lib/utils';
+import { parseWaveToGraph, collectDecisionIds } from '../lib/waveGraph';
+import { createSimulation, getExpressionText } from '../lib/waveSimulator';
+import { validateWave, summarizeByNode } from '../lib/waveValidator';
+import { createNode, insertNode, moveNode, removeNode, replaceNode, updateNode } from '../lib/waveEditor';
+import { diffWaves } from '../lib/waveDiff';
+import NodeInspector from './NodeInspector';
+import NodeEditor from './NodeEditor';
+import WorkflowChanges from './WorkflowChanges';
+import WorkflowDiagnostics, { DiagnosticsList } from './WorkflowDiagnostics';
+import WorkflowSimulator from './WorkflowSimulator';
+import WorkflowExportMenu from './WorkflowExportMenu';
 import 'reactflow/dist/style.css';
 
+// Lets decision nodes toggle their own collapsed state
+const CollapseContext = createContext(() => {});
+
+// Connection points follow the layout direction (top/bottom or left/right)
+function NodeHandles({ targetPosition, sourcePosition }) {
+    return (
+        <>
+            <Handle type="target" position={targetPosition} className="!bg-muted-foreground" />
+            <Handle type="source" position={sourcePosition} className="!bg-muted-foreground" />
+        </>
+    );
+}
+
+// Error/warning count from the validator, pinned to the node's corner
+function IssueBadge({ issue }) {
+    if (!issue) return null;
+    return (
+        <div
+            className={cn(
+                'absolute -top-2 -right-2 min-w-[20px] h-5 px-1 flex items-center justify-center rounded-full text-[11px] font-bold text-white shadow',
+                issue.severity === 'error' ? 'bg-red-500' : 'bg-yellow-500'
+            )}
+            title={`${issue.count} ${issue.severity === 'error' ? 'problem(s)' : 'warning(s)'}`}
+        >
+            {issue.count}
+        </div>
+    );
+}
+
 // Custom node component for user interactions
-function UserInteractionNode({ data }) {
+function UserInteractionNode({ data, selected, targetPosition, sourcePosition }) {
+    const { node } = data;
     return (
-        <div className="px-4 py-3 bg-blue-500/20 border-2 border-blue-500 rounded-lg min-w-[200px] max-w-[300px]">
+        <div className={cn('relative px-4 py-3 bg-blue-500/20 border-2 border-blue-500 rounded-lg min-w-[200px] max-w-[300px]', selected && 'ring-2 ring-white/70')}>
+            <NodeHandles targetPosition={targetPosition} sourcePosition={sourcePosition} />
+            <IssueBadge issue={data.issue} />
             <div className="font-semibold text-blue-400 text-sm mb-1">👤 User Interaction</div>
             <div className="text-xs text-foreground/80 line-clamp-2">
-                {data.prompt?.['en-US']?.[0]?.substring(0, 100) || 'User input required'}
+                {node.prompt?.['en-US']?.[0]?.substring(0, 100) || 'User input required'}
             </div>
-            {data.ended && (
+            {node.ended && (
                 <div className="mt-1 text-xs text-red-400 font-semibold">🔴 End</div>
             )}
         </div>
@@ -24,14 +87,17 @@ function UserInteractionNode({ data }) {
 }
 
 // Custom node component for API calls
-function ApiCallNode({ data }) {
+function ApiCallNode({ data, selected, targetPosition, sourcePosition }) {
+    const { node } = data;
     return (
-        <div className="px-4 py-3 bg-green-500/20 border-2 border-green-500 rounded-lg min-w-[200px] max-w-[300px]">
+        <div className={cn('relative px-4 py-3 bg-green-500/20 border-2 border-green-500 rounded-lg min-w-[200px] max-w-[300px]', selected && 'ring-2 ring-white/70')}>
+            <NodeHandles targetPosition={targetPosition} sourcePosition={sourcePosition} />
+            <IssueBadge issue={data.issue} />
             <div className="font-semibold text-green-400 text-sm mb-1">🔌 API Call</div>
             <div className="text-xs text-foreground/80">
-                {data.api_name || 'API Request'}
+                {node.api_name || 'API Request'}
             </div>
-            {data.ended && (
+            {node.ended && (
                 <div className="mt-1 text-xs text-red-400 font-semibold">🔴 End</div>
             )}
         </div>
@@ -39,14 +105,35 @@ function ApiCallNode({ data }) {
 }
 
 // Custom node component for decisions
-function DecisionNode({ data }) {
+function DecisionNode({ id, data, selected, targetPosition, sourcePosition }) {
+    const { node, collapsed, hiddenCount } = data;
+    const toggleCollapse = useContext(CollapseContext);
+    const hasBranches = (node.if_block?.length || 0) + (node.else_block?.length || 0) > 0;
+
     return (
-        <div className="px-4 py-3 bg-yellow-500/20 border-2 border-yellow-500 rounded-lg min-w-[200px] max-w-[300px]">
-            <div className="font-semibold text-yellow-400 text-sm mb-1">🔀 Decision</div>
+        <div className={cn('relative px-4 py-3 bg-yellow-500/20 border-2 border-yellow-500 rounded-lg min-w-[200px] max-w-[300px]', selected && 'ring-2 ring-white/70')}>
+            <NodeHandles targetPosition={targetPosition} sourcePosition={sourcePosition} />
+            <IssueBadge issue={data.issue} />
+            <div className="flex items-center justify-between gap-2 mb-1">
+                <div className="font-semibold text-yellow-400 text-sm">🔀 Decision</div>
+                {hasBranches && (
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            toggleCollapse(id);
+                        }}
+                        className="nodrag flex items-center gap-0.5 px-1 rounded text-xs text-yellow-400 hover:bg-yellow-500/20"
+                        aria-label={collapsed ? 'Expand branches' : 'Collapse branches'}
+                    >
+                        {collapsed ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                        {collapsed && `${hiddenCount} hidden`}
+                    </button>
+                )}
+            </div>
             <div className="text-xs text-foreground/80 line-clamp-2 font-mono">
-                {data.expression?.['en-US'] || 'Conditional'}
+                {getExpressionText(node) || 'Conditional'}
             </div>
-            {data.ended && (
+            {node.ended && (
                 <div className="mt-1 text-xs text-red-400 font-semibold">🔴 End</div>
             )}
         </div>
@@ -59,150 +146,416 @@ const nodeTypes = {
     decision: DecisionNode,
 };
 
-// Parse wave array and convert to ReactFlow nodes and edges
-function parseWaveToGraph(wave) {
-    if (!wave || !Array.isArray(wave) || wave.length === 0) {
-        return { nodes: [], edges: [] };
+function ToolbarButton({ active, disabled, onClick, label, children }) {
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            title={label}
+            aria-label={label}
+            className={cn(
+                'p-1.5 rounded transition-colors disabled:opacity-40 disabled:pointer-events-none',
+                active ? 'bg-secondary text-foreground' : 'text-muted-foreground hover:bg-secondary/50 hover:text-foreground'
+            )}
+        >
+            {children}
+        </button>
+    );
+}
+
+const CHANGE_CLASS_NAMES = {
+    added: 'rounded-lg ring-4 ring-green-500 shadow-lg shadow-green-500/40',
+    removed: 'rounded-lg ring-4 ring-red-500 shadow-lg shadow-red-500/40',
+    changed: 'rounded-lg ring-4 ring-amber-500 shadow-lg shadow-amber-500/40',
+};
+
+const PALETTE = [
+    { type: 'user_interaction', label: 'User', className: 'border-blue-500 text-blue-400 hover:bg-blue-500/20' },
+    { type: 'api_call', label: 'API', className: 'border-green-500 text-green-400 hover:bg-green-500/20' },
+    { type: 'decision', label: 'Decision', className: 'border-yellow-500 text-yellow-400 hover:bg-yellow-500/20' },
+];
+
+// Where a node dropped onto `target` goes. On a decision, the half it lands
+// on picks the Yes or No branch (Shift places it after the decision instead);
+// on any other node, the half picks before or after it.
+function getDropTarget(dragged, target, direction, placeAfter) {
+    const center = (node, axis) => node.position[axis] + (axis === 'x' ? node.width : node.height) / 2;
+    const flowAxis = direction === 'TB' ? 'y' : 'x';
+    const branchAxis = direction === 'TB' ? 'x' : 'y';
+
+    if (target.type === 'decision') {
+        if (placeAfter) return { afterId: target.id };
+        return {
+            decisionId: target.id,
+            branch: center(dragged, branchAxis) < center(target, branchAxis) ? 'if' : 'else',
+            index: 0
+        };
     }
+    return center(dragged, flowAxis) < center(target, flowAxis) ? { beforeId: target.id } : { afterId: target.id };
+}
 
-    const nodes = [];
-    const edges = [];
-    const xSpacing = 350;
-    const ySpacing = 150;
-    let nodeCounter = 0;
-
-    // Process nodes recursively with proper Y positioning
-    function processNodes(nodeList, parentId = null, baseX = 0, startY = 0, isIfBranch = false, isElseBranch = false) {
-        let currentY = startY;
-        let lastNodeId = parentId;
-
-        nodeList.forEach((node, index) => {
-            if (!node || !node.id || !node.type) {
-                console.warn('Invalid node:', node);
-                return;
-            }
+function WorkflowCanvas({ workflow, baseline, exportName, onChange, onSend }) {
+    const [direction, setDirection] = useState('TB');
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [selectedNodeId, setSelectedNodeId] = useState(null);
+    const [simulationState, setSimulationState] = useState(null);
+    const [editState, setEditState] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [compareSide, setCompareSide] = useState('after');
+    const { fitView, getIntersectingNodes } = useReactFlow();
 
-            const nodeId = node.id;
-
-            // Create ReactFlow node
-            nodes.push({
-                id: nodeId,
-                type: node.type,
-                position: { x: baseX, y: currentY },
-                data: node,
-            });
-
-            // Create edge from parent
-            if (lastNodeId && lastNodeId !== nodeId) {
-                const edgeLabel = isIfBranch ? 'Yes' : isElseBranch ? 'No' : '';
-                const edgeColor = isIfBranch ? '#22c55e' : isElseBranch ? '#ef4444' : '#64748b';
-
-                edges.push({
-                    id: `${lastNodeId}-${nodeId}`,
-                    source: lastNodeId,
-                    target: nodeId,
-                    label: edgeLabel,
-                    animated: true,
-                    style: { stroke: edgeColor },
-                });
-            }
+    // Edit mode works on a draft of the wave it was started on; the canvas
+    // shows the draft until it is saved or discarded. Comparing against a
+    // baseline is read-only and shows either side of the diff.
+    const editing = !baseline && editState?.workflow === workflow;
+    const showBaseline = Boolean(baseline) && compareSide === 'before';
+    const wave = editing ? editState.draft : showBaseline ? baseline.wave : workflow;
 
-            currentY += ySpacing;
-
-            // Handle decision nodes with if/else blocks
-            if (node.type === 'decision') {
-                const ifBlock = node.if_block || [];
-                const elseBlock = node.else_block || [];
-                const maxBranchY = currentY;
-
-                // Process if-block (left branch)
-                if (ifBlock.length > 0) {
-                    const ifX = baseX - xSpacing;
-                    const ifResult = processNodes(ifBlock, nodeId, ifX, currentY, true, false);
-                    currentY = Math.max(currentY, ifResult.endY);
-                }
-
-                // Process else-block (right branch)
-                if (elseBlock.length > 0) {
-                    const elseX = baseX + xSpacing;
-                    const elseResult = processNodes(elseBlock, nodeId, maxBranchY, currentY, false, true);
-                    currentY = Math.max(currentY, elseResult.endY);
-                }
-
-                // If both branches exist, add some extra spacing
-                if (ifBlock.length > 0 && elseBlock.length > 0) {
-                    currentY += ySpacing / 2;
-                }
-            }
+    const { nodes: layoutNodes, edges: layoutEdges } = useMemo(
+        () => parseWaveToGraph(wave || [], { direction, collapsed }),
+        [wave, direction, collapsed]
+    );
 
-            lastNodeId = nodeId;
-        });
+    const [nodes, setNodes, onNodesChange] = useNodesState(layoutNodes);
+    const [edges, setEdges, onEdgesChange] = useEdgesState(layoutEdges);
 
-        return { endY: currentY, lastNodeId };
-    }
+    // Re-apply the layout when the wave, direction or collapsed set changes.
+    // While editing, the viewport stays put so typing doesn't move the canvas.
+    useEffect(() => {
+        setNodes(layoutNodes);
+        setEdges(layoutEdges);
+        if (editing) return;
+        const frame = requestAnimationFrame(() => fitView({ duration: 200 }));
+        return () => cancelAnimationFrame(frame);
+    }, [layoutNodes, layoutEdges, editing, setNodes, setEdges, fitView]);
 
-    // Process all top-level nodes
-    processNodes(wave, null, 0, 0, false, false);
+    const diagnostics = useMemo(() => validateWave(wave), [wave]);
+    const issuesByNode = useMemo(() => summarizeByNode(diagnostics), [diagnostics]);
 
-    return { nodes, edges };
-}
+    const diff = useMemo(() => (baseline ? diffWaves(baseline.wave, workflow) : null), [baseline, workflow]);
 
-export default function WorkflowGraph({ workflow }) {
-    const { nodes: initialNodes, edges: initialEdges } = useMemo(
-        () => parseWaveToGraph(workflow || []),
-        [workflow]
+    // A simulation belongs to the wave it started on; a new wave drops it
+    const simulation = !editing && !baseline && simulationState?.workflow === workflow ? simulationState.simulation : null;
+    const setSimulation = (next) => setSimulationState(next ? { workflow, simulation: next } : null);
+
+    const nodesById = useMemo(
+        () => Object.fromEntries(layoutNodes.map(node => [node.id, node.data.node])),
+        [layoutNodes]
     );
+    const selectedNode = nodesById[selectedNodeId];
 
-    const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
-    const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+    // Jump to a neighbour picked in the inspector's edge list
+    const selectNode = (id) => {
+        setSelectedNodeId(id);
+        setNodes(prev => prev.map(node => ({ ...node, selected: node.id === id })));
+        fitView({ nodes: [{ id }], duration: 300, maxZoom: 1 });
+    };
 
-    if (!workflow || workflow.length === 0) {
+    const startSimulation = () => {
+        // Expand everything so the active node is always on screen
+        setCollapsed(new Set());
+        setSimulation(createSimulation(workflow));
+    };
+
+    const startEditing = () => {
+        setSimulation(null);
+        setEditState({ workflow, draft: workflow, undo: [], lastKey: null });
+    };
+
+    // Record an edit. Consecutive edits with the same key (typing into one
+    // field) share a single undo step.
+    const applyEdit = (next, coalesceKey = null) => {
+        if (next === wave) return;
+        setEditState(prev => ({
+            ...prev,
+            draft: next,
+            undo: coalesceKey && prev.lastKey === coalesceKey ? prev.undo : [...prev.undo, prev.draft],
+            lastKey: coalesceKey
+        }));
+    };
+
+    const undoEdit = () => {
+        setEditState(prev => ({
+            ...prev,
+            draft: prev.undo[prev.undo.length - 1],
+            undo: prev.undo.slice(0, -1),
+            lastKey: null
+        }));
+    };
+
+    const saveEdits = () => {
+        onChange?.(wave);
+        setEditState(null);
+    };
+
+    const addNode = (type) => {
+        const node = createNode(type, wave);
+        applyEdit(insertNode(wave, node, nodesById[selectedNodeId] ? { afterId: selectedNodeId } : {}));
+        setSelectedNodeId(node.id);
+    };
+
+    const deleteNodes = (ids) => {
+        applyEdit(ids.reduce((next, id) => removeNode(next, id), wave));
+        setSelectedNodeId(null);
+    };
+
+    const handleNodeDragStop = (event, dragged) => {
+        if (!editing) return;
+        const target = getIntersectingNodes(dragged).find(node => node.id !== dragged.id);
+        const next = target
+            ? moveNode(wave, dragged.id, getDropTarget(dragged, target, direction, event.shiftKey))
+            : wave;
+        if (next === wave) {
+            // Not a valid drop, so snap the node back into the layout
+            setNodes(layoutNodes);
+        } else {
+            applyEdit(next);
+        }
+    };
+
+    const copyWave = async () => {
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(wave, null, 2));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy workflow:', error);
+        }
+    };
+
+    // Highlight the simulator's active node and the path it has taken
+    const activeNodeId = simulation?.current?.id;
+    const visited = new Set(simulation?.path);
+    const pathSteps = new Set((simulation?.path || []).slice(1).map((id, index) => `${simulation.path[index]}>${id}`));
+
+    const simulationClassName = (id) => {
+        if (!simulation) return undefined;
+        if (id === activeNodeId) return 'rounded-lg ring-4 ring-primary shadow-lg shadow-primary/40';
+        return visited.has(id) ? '' : 'opacity-40';
+    };
+
+    // While comparing, changed nodes are ringed and the rest fade back
+    const diffClassName = (id) => CHANGE_CLASS_NAMES[diff.statusById[id]] || 'opacity-50';
+
+    // Removed nodes only exist in the baseline and added ones only in the
+    // current wave, so switch sides before focusing them
+    const selectChange = (change) => {
+        const side = change.status === 'removed' ? 'before' : change.status === 'added' ? 'after' : compareSide;
+        if (side !== compareSide) {
+            setCompareSide(side);
+            setSelectedNodeId(change.id);
+        } else {
+            selectNode(change.id);
+        }
+    };
+
+    const displayNodes = nodes.map(node => ({
+        ...node,
+        className: diff ? diffClassName(node.id) : simulationClassName(node.id),
+        data: { ...node.data, issue: issuesByNode[node.id] }
+    }));
+
+    const displayEdges = simulation
+        ? edges.map(edge => (
+            pathSteps.has(`${edge.source}>${edge.target}`)
+                ? { ...edge, style: { ...edge.style, strokeWidth: 3 } }
+                : { ...edge, animated: false, style: { ...edge.style, opacity: 0.3 } }
+        ))
+        : edges;
+
+    const toggleCollapse = (id) => {
+        setCollapsed(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) {
+                next.delete(id);
+            } else {
+                next.add(id);
+            }
+            return next;
+        });
+    };
+
+    if (layoutNodes.length === 0 && !editing) {
         return (
-            <div className="flex items-center justify-center h-full text-muted-foreground">
-                No workflow data available
+            <div className="flex items-center justify-center h-full text-muted-foreground p-6">
+                <div className="w-full max-w-lg space-y-3">
+                    <div className="text-center">Failed to parse workflow data</div>
+                    <DiagnosticsList diagnostics={diagnostics} />
+                </div>
             </div>
         );
     }
 
-    if (nodes.length === 0) {
+    return (
+        <CollapseContext.Provider value={toggleCollapse}>
+            <div className="flex flex-col h-full">
+                <div className="relative flex-1 min-h-0">
+                    <ReactFlow
+                        nodes={displayNodes}
+                        edges={displayEdges}
+                        onNodesChange={onNodesChange}
+                        onEdgesChange={onEdgesChange}
+                        onNodeClick={(event, node) => setSelectedNodeId(node.id)}
+                        onPaneClick={() => setSelectedNodeId(null)}
+                        onNodeDragStop={handleNodeDragStop}
+                        onNodesDelete={(deleted) => deleteNodes(deleted.map(node => node.id))}
+                        deleteKeyCode={editing ? ['Backspace', 'Delete'] : null}
+                        nodeTypes={nodeTypes}
+                        fitView
+                        minZoom={0.1}
+                        attributionPosition="bottom-left"
+                    >
+                        <Background />
+                        <Controls />
+                        <MiniMap
+                            nodeColor={(node) => {
+                                switch (node.type) {
+                                    case 'user_interaction':
+                                        return '#3b82f6';
+                                    case 'api_call':
+                                        return '#22c55e';
+                                    case 'decision':
+                                        return '#eab308';
+                                    default:
+                                        return '#64748b';
+                                }
+                            }}
+                        />
+                        <Panel position="top-right">
+                            <div className="flex items-center gap-1 p-1 bg-card border border-border rounded-lg shadow">
+                                <ToolbarButton active={direction === 'TB'} onClick={() => setDirection('TB')} label="Top-down layout">
+                                    <ArrowDown className="w-4 h-4" />
+                                </ToolbarButton>
+                                <ToolbarButton active={direction === 'LR'} onClick={() => setDirection('LR')} label="Left-right layout">
+                                    <ArrowRight className="w-4 h-4" />
+                                </ToolbarButton>
+                                <div className="w-px h-4 bg-border mx-0.5" />
+                                <ToolbarButton onClick={() => setCollapsed(new Set(collectDecisionIds(wave)))} label="Collapse all decisions">
+                                    <ChevronsDownUp className="w-4 h-4" />
+                                </ToolbarButton>
+                                <ToolbarButton onClick={() => setCollapsed(new Set())} label="Expand all decisions">
+                                    <ChevronsUpDown className="w-4 h-4" />
+                                </ToolbarButton>
+                                <div className="w-px h-4 bg-border mx-0.5" />
+                                <ToolbarButton active={editing} disabled={Boolean(baseline)} onClick={editing ? () => setEditState(null) : startEditing} label={editing ? 'Discard edits' : 'Edit workflow'}>
+                                    <Pencil className="w-4 h-4" />
+                                </ToolbarButton>
+                                <ToolbarButton active={Boolean(simulation)} disabled={editing || Boolean(baseline)} onClick={startSimulation} label="Simulate workflow">
+                                    <Play className="w-4 h-4" />
+                                </ToolbarButton>
+                                <div className="w-px h-4 bg-border mx-0.5" />
+                                {/* Exports what the canvas shows, in its layout */}
+                                <WorkflowExportMenu workflow={wave} layout={{ direction, collapsed }} filename={exportName} />
+                            </div>
+                        </Panel>
+                        {editing && (
+                            <Panel position="top-left">
+                                <div className="flex flex-col gap-1 p-1 bg-card border border-border rounded-lg shadow">
+                                    <div className="flex items-center gap-1">
+                                        {PALETTE.map(item => (
+                                            <button
+                                                key={item.type}
+                                                onClick={() => addNode(item.type)}
+                                                title={selectedNodeId ? `Add after ${selectedNodeId}` : 'Add at the end'}
+                                                className={cn('px-2 py-1 text-xs font-semibold rounded border transition-colors', item.className)}
+                                            >
+                                                + {item.label}
+                                            </button>
+                                        ))}
+                                        <div className="w-px h-4 bg-border mx-0.5" />
+                                        <ToolbarButton disabled={editState.undo.length === 0} onClick={undoEdit} label="Undo">
+                                            <Undo2 className="w-4 h-4" />
+                                        </ToolbarButton>
+                                        <ToolbarButton onClick={copyWave} label="Copy wave JSON">
+                                            {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+                                        </ToolbarButton>
+                                        <ToolbarButton onClick={() => downloadFile('workflow.json', JSON.stringify(wave, null, 2))} label="Download wave JSON">
+                                            <Download className="w-4 h-4" />
+                                        </ToolbarButton>
+                                        <ToolbarButton disabled={!onSend} onClick={() => onSend(wave)} label="Send corrected workflow to the model">
+                                            <Send className="w-4 h-4" />
+                                        </ToolbarButton>
+                                        <button
+                                            onClick={saveEdits}
+                                            className="ml-1 px-2 py-1 text-xs rounded bg-primary text-primary-foreground hover:opacity-90 transition-all"
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                    <div className="px-1 text-[11px] text-muted-foreground">
+                                        Drag a node onto another to move it · left/right half of a decision for Yes/No · Shift to drop after it · Del to delete
+                                    </div>
+                                </div>
+                            </Panel>
+                        )}
+                    </ReactFlow>
+
+                    {simulation && (
+                        <WorkflowSimulator
+                            simulation={simulation}
+                            onChange={setSimulation}
+                            onRestart={startSimulation}
+                            onClose={() => setSimulation(null)}
+                        />
+                    )}
+
+                    {selectedNode && editing && (
+                        <NodeEditor
+                            key={selectedNode.id}
+                            node={selectedNode}
+                            wave={wave}
+                            onChange={(changes, field) => applyEdit(updateNode(wave, selectedNode.id, changes), field && `${selectedNode.id}.${field}`)}
+                            onReplace={(replacement) => applyEdit(replaceNode(wave, selectedNode.id, replacement))}
+                            onRename={(id) => {
+                                applyEdit(updateNode(wave, selectedNode.id, { id }));
+                                setSelectedNodeId(id);
+                            }}
+                            onDelete={() => deleteNodes([selectedNode.id])}
+                            onClose={() => setSelectedNodeId(null)}
+                        />
+                    )}
+
+                    {selectedNode && !editing && (
+                        <NodeInspector
+                            node={selectedNode}
+                            edges={layoutEdges}
+                            nodesById={nodesById}
+                            onSelectNode={selectNode}
+                            onClose={() => setSelectedNodeId(null)}
+                        />
+                    )}
+                </div>
+
+                {diff && (
+                    <WorkflowChanges
+                        changes={diff.changes}
+                        side={compareSide}
+                        onSideChange={setCompareSide}
+                        baselineLabel={baseline.label}
+                        onSelectChange={selectChange}
+                    />
+                )}
+
+                <WorkflowDiagnostics diagnostics={diagnostics} onSelectNode={selectNode} />
+            </div>
+        </CollapseContext.Provider>
+    );
+}
+
+export default function WorkflowGraph({ workflow, baseline, exportName, onChange, onSend }) {
+    if (!workflow || workflow.length === 0) {
         return (
             <div className="flex items-center justify-center h-full text-muted-foreground">
-                <div className="text-center">
-                    <div>Failed to parse workflow data</div>
-                    <div className="text-xs mt-2">Check console for details</div>
-                </div>
+                No workflow data available
             </div>
         );
     }
 
     return (
-        <div className="w-full h-full bg-background">
-            <ReactFlow
-                nodes={nodes}
-                edges={edges}
-                onNodesChange={onNodesChange}
-                onEdgesChange={onEdgesChange}
-                nodeTypes={nodeTypes}
-                fitView
-                attributionPosition="bottom-left"
-            >
-                <Background />
-                <Controls />
-                <MiniMap
-                    nodeColor={(node) => {
-                        switch (node.type) {
-                            case 'user_interaction':
-                                return '#3b82f6';
-                            case 'api_call':
-                                return '#22c55e';
-                            case 'decision':
-                                return '#eab308';
-                            default:
-                                return '#64748b';
-                        }
-                    }}
-                />
-            </ReactFlow>
+        <div className="relative w-full h-full bg-background">
+            <ReactFlowProvider>
+                <WorkflowCanvas workflow={workflow} baseline={baseline} exportName={exportName} onChange={onChange} onSend={onSend} />
+            </ReactFlowProvider>
         </div>
     );
 }
@@ -0,0 +1,127 @@
+import { useState, useRef } from 'react';
+import { X, Upload } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { inputClassName } from '../lib/styles';
+import { parseWaveJson, readWaveFile, fileLabel } from '../lib/waveImport';
+
+// Load a wave into the workflow panel from a file or pasted JSON,
+// without going through the chat
+export default function WorkflowImportDialog({ initialError = null, onImport, onClose }) {
+    const [text, setText] = useState('');
+    const [error, setError] = useState(initialError);
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const importFile = async (file) => {
+        if (!file) return;
+        try {
+            onImport(await readWaveFile(file), fileLabel(file));
+        } catch (err) {
+            setError(`${file.name}: ${err.message}`);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        try {
+            onImport(parseWaveJson(text), 'Pasted');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-card border border-border rounded-2xl shadow-xl"
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-border/50">
+                    <h2 className="text-lg font-semibold">Import workflow</h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close import dialog"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    <div
+                        onDragOver={(e) => {
+                            e.preventDefault();
+                            setIsDragging(true);
+                        }}
+                        onDragLeave={() => setIsDragging(false)}
+                        onDrop={(e) => {
+                            e.preventDefault();
+                            setIsDragging(false);
+                            importFile(e.dataTransfer.files[0]);
+                        }}
+                        className={cn(
+                            'flex flex-col items-center gap-2 p-6 border-2 border-dashed rounded-lg text-sm text-muted-foreground transition-colors',
+                            isDragging ? 'border-primary bg-primary/10' : 'border-border'
+                        )}
+                    >
+                        <Upload className="w-6 h-6" />
+                        <span>Drop a wave JSON file here, or</span>
+                        <button
+                            type="button"
+                            onClick={() => fileInputRef.current?.click()}
+                            className="px-3 py-1.5 text-xs rounded-lg bg-secondary text-foreground hover:bg-secondary/80 transition-colors"
+                        >
+                            Choose file
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={(e) => {
+                                importFile(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                            className="hidden"
+                        />
+                    </div>
+
+                    <label className="block space-y-1">
+                        <span className="text-sm text-muted-foreground">Or paste JSON</span>
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            rows={10}
+                            spellCheck={false}
+                            placeholder='[{ "id": "start", "type": "user_interaction", ... }]  or  { "data": { "wave": [...] } }'
+                            className={`${inputClassName} resize-y font-mono text-xs`}
+                        />
+                    </label>
+
+                    {error && <div className="text-sm text-red-400">{error}</div>}
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end gap-2 p-4 border-t border-border/50">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg hover:bg-secondary transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={!text.trim()}
+                        className="px-4 py-2 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all disabled:opacity-50"
+                    >
+                        Import
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import { X, RotateCcw, Check } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { inputClassName } from '../lib/styles';
+import {
+    getExpressionText,
+    getOutputVariable,
+    submitInput,
+    submitApiResponse,
+    takeBranch,
+    skipNode,
+    setVariables,
+} from '../lib/waveSimulator';
+import { evaluateExpression } from '../lib/waveExpression';
+
+// Parse mocked JSON, falling back to the raw text so plain strings work too
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+function UserInteractionStep({ simulation, onChange }) {
+    const [input, setInput] = useState('');
+    const node = simulation.current;
+    const prompt = node.prompt?.['en-US'];
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                onChange(submitInput(simulation, input));
+            }}
+            className="space-y-2"
+        >
+            <div className="text-xs text-blue-400 font-semibold">👤 User Interaction · {node.id}</div>
+            <div className="text-sm whitespace-pre-wrap">{(Array.isArray(prompt) ? prompt[0] : prompt) || 'User input required'}</div>
+            <textarea
+                autoFocus
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                rows={2}
+                placeholder={`Answer, saved as ${getOutputVariable(node)}`}
+                className={`${inputClassName} resize-y`}
+            />
+            <button type="submit" className="w-full px-3 py-1.5 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all">
+                Send input
+            </button>
+        </form>
+    );
+}
+
+function ApiCallStep({ simulation, onChange }) {
+    const [response, setResponse] = useState('{}');
+    const node = simulation.current;
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                onChange(submitApiResponse(simulation, parseValue(response)));
+            }}
+            className="space-y-2"
+        >
+            <div className="text-xs text-green-400 font-semibold">🔌 API Call · {node.id}</div>
+            <div className="text-sm font-mono">{node.api_name || 'API Request'}</div>
+            <textarea
+                value={response}
+                onChange={(e) => setResponse(e.target.value)}
+                rows={4}
+                placeholder="Mocked response (JSON)"
+                className={`${inputClassName} resize-y font-mono`}
+            />
+            <div className="text-xs text-muted-foreground">Saved as <span className="font-mono">{getOutputVariable(node)}</span></div>
+            <button type="submit" className="w-full px-3 py-1.5 text-sm rounded-lg bg-primary text-primary-foreground hover:opacity-90 transition-all">
+                Return mocked response
+            </button>
+        </form>
+    );
+}
+
+function DecisionStep({ simulation, onChange }) {
+    const node = simulation.current;
+    const expression = getExpressionText(node);
+    const result = evaluateExpression(expression, simulation.variables);
+
+    return (
+        <div className="space-y-2">
+            <div className="text-xs text-yellow-400 font-semibold">🔀 Decision · {node.id}</div>
+            <div className="text-xs font-mono whitespace-pre-wrap bg-secondary rounded px-2 py-1">{expression || '—'}</div>
+            <div className="text-xs">
+                {result.error
+                    ? <span className="text-red-400">Could not evaluate: {result.error}. Pick a branch manually.</span>
+                    : <span className="text-muted-foreground">Evaluates to <span className="font-mono text-foreground">{String(result.value)}</span></span>}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {[true, false].map(branch => (
+                    <button
+                        key={String(branch)}
+                        onClick={() => onChange(takeBranch(simulation, branch))}
+                        className={cn(
+                            'px-3 py-1.5 text-sm rounded-lg transition-all',
+                            result.value === branch
+                                ? 'bg-primary text-primary-foreground hover:opacity-90'
+                                : 'bg-secondary text-muted-foreground hover:text-foreground'
+                        )}
+                    >
+                        {branch ? 'Yes' : 'No'} branch
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+const STEP_COMPONENTS = {
+    user_interaction: UserInteractionStep,
+    api_call: ApiCallStep,
+    decision: DecisionStep,
+};
+
+function VariablesEditor({ variables, onApply }) {
+    const [text, setText] = useState(() => JSON.stringify(variables, null, 2));
+    const [error, setError] = useState(null);
+
+    const apply = () => {
+        try {
+            const parsed = JSON.parse(text);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('Variables must be a JSON object');
+            }
+            setError(null);
+            onApply(parsed);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-1">
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={5}
+                spellCheck={false}
+                className={`${inputClassName} resize-y font-mono text-xs`}
+            />
+            {error && <div className="text-xs text-red-400">{error}</div>}
+            <button
+                onClick={apply}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+            >
+                <Check className="w-3 h-3" />
+                Apply variables
+            </button>
+        </div>
+    );
+}
+
+// Panel that walks a wave node by node: asks for user input, mocked API
+// responses and decision branches, with an editable variables panel
+export default function WorkflowSimulator({ simulation, onChange, onRestart, onClose }) {
+    const node = simulation.current;
+    const Step = node ? STEP_COMPONENTS[node.type] : null;
+
+    return (
+        <div className="absolute top-0 left-0 h-full w-80 max-w-full flex flex-col bg-card border-r border-border shadow-xl z-10">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 border-b border-border/50">
+                <div className="text-sm font-semibold">Simulator</div>
+                <div className="flex items-center gap-1">
+                    <button
+                        onClick={onRestart}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Restart simulation"
+                        title="Restart"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="p-1 hover:bg-secondary rounded transition-colors"
+                        aria-label="Close simulator"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {/* Body */}
+            <div className="flex-1 overflow-y-auto p-3 space-y-4">
+                <section className="p-3 border border-border rounded-lg">
+                    {Step ? (
+                        <Step key={simulation.path.length} simulation={simulation} onChange={onChange} />
+                    ) : node ? (
+                        <div className="space-y-2">
+                            <div className="text-sm text-red-400">Unknown node type "{node.type}" · {node.id}</div>
+                            <button
+                                onClick={() => onChange(skipNode(simulation))}
+                                className="w-full px-3 py-1.5 text-sm rounded-lg bg-secondary hover:bg-secondary/80 transition-colors"
+                            >
+                                Skip node
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="text-sm text-muted-foreground">Workflow finished.</div>
+                    )}
+                </section>
+
+                <section className="space-y-1.5">
+                    <h4 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">Variables</h4>
+                    <VariablesEditor
+                        key={JSON.stringify(simulation.variables)}
+                        variables={simulation.variables}
+                        onApply={(variables) => onChange(setVariables(simulation, variables))}
+                    />
+                </section>
+
+                <section className="space-y-1.5">
+                    <h4 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">Trace</h4>
+                    {simulation.log.length === 0 ? (
+                        <div className="text-xs text-muted-foreground">Nothing yet</div>
+                    ) : (
+                        <ol className="space-y-1 text-xs font-mono">
+                            {simulation.log.map((entry, index) => (
+                                <li key={index} className={cn('break-words', entry.type === 'end' ? 'text-muted-foreground' : 'text-foreground/90')}>
+                                    {index + 1}. {entry.message}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+}
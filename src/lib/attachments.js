@@ -0,0 +1,108 @@
+// Files attached to a prompt. Attachments are plain objects so they can be
+// stored with the message in IndexedDB:
+//   { id, name, mimeType, size, kind: 'text' | 'image', encoding: 'text' | 'base64', data }
+// Text files keep their contents as text; images are base64 without a data: prefix.
+import { createId } from './utils';
+
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Pasted text longer than this becomes an attachment instead of textarea content
+export const LARGE_PASTE_CHARS = 5000;
+
+const TEXT_EXTENSIONS = /\.(txt|md|json|csv|tsv|ya?ml|xml|log)$/i;
+
+const MIME_TYPES_BY_EXTENSION = {
+    json: 'application/json',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    md: 'text/markdown',
+    yaml: 'application/yaml',
+    yml: 'application/yaml',
+    xml: 'application/xml',
+};
+
+function getKind(file) {
+    if (file.type.startsWith('image/')) return 'image';
+    if (file.type.startsWith('text/') || file.type === 'application/json' || TEXT_EXTENSIONS.test(file.name)) return 'text';
+    return null;
+}
+
+// Browsers leave `type` empty for some extensions (.md, .yaml...)
+function getMimeType(file) {
+    if (file.type) return file.type;
+    const extension = file.name.split('.').pop().toLowerCase();
+    return MIME_TYPES_BY_EXTENSION[extension] || 'text/plain';
+}
+
+function readAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+// Read a File into an attachment. Throws for unsupported or oversized files.
+export async function readAttachment(file) {
+    const kind = getKind(file);
+    if (!kind) {
+        throw new Error(`${file.name}: only text, JSON, CSV and image files can be attached`);
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`${file.name}: larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}`);
+    }
+
+    return {
+        id: createId(),
+        name: file.name,
+        mimeType: getMimeType(file),
+        size: file.size,
+        kind,
+        encoding: kind === 'text' ? 'text' : 'base64',
+        data: kind === 'text' ? await file.text() : await readAsBase64(file)
+    };
+}
+
+// A text attachment for a large paste
+export function createTextAttachment(name, text) {
+    return {
+        id: createId(),
+        name,
+        mimeType: 'text/plain',
+        size: new Blob([text]).size,
+        kind: 'text',
+        encoding: 'text',
+        data: text
+    };
+}
+
+export function attachmentToBase64(attachment) {
+    if (attachment.encoding === 'base64') return attachment.data;
+    // btoa only takes Latin-1, so go through the UTF-8 bytes
+    const bytes = new TextEncoder().encode(attachment.data);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function attachmentToBlob(attachment) {
+    if (attachment.encoding === 'text') {
+        return new Blob([attachment.data], { type: attachment.mimeType });
+    }
+    const binary = atob(attachment.data);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new Blob([bytes], { type: attachment.mimeType });
+}
+
+export function attachmentDataUrl(attachment) {
+    return `data:${attachment.mimeType};base64,${attachmentToBase64(attachment)}`;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,63 @@
+// Branching threads. The conversation's `messages` is always the active path;
+// the other branches are kept in a separate map keyed by the id of the
+// message they fork from (ROOT_BRANCH for the first message):
+//   { [parentId]: { order: [firstMessageId, ...], tails: { [firstMessageId]: messages[] } } }
+// `order` lists every sibling, including the active one, in creation order.
+// `tails` holds only the inactive siblings, each with all the messages that
+// followed it. Message ids are unique across branches, so forks inside an
+// inactive tail stay valid while it is stashed.
+
+export const ROOT_BRANCH = 'root';
+
+function getParentId(messages, index) {
+    return index === 0 ? ROOT_BRANCH : messages[index - 1].id;
+}
+
+// Sibling position of messages[index], or null when it has no siblings
+export function getSiblings(messages, branches, index) {
+    const group = branches[getParentId(messages, index)];
+    if (!group || group.order.length < 2) return null;
+    const position = group.order.indexOf(messages[index].id);
+    if (position === -1) return null;
+    return { order: group.order, position, count: group.order.length };
+}
+
+// Stash messages[index..] as a branch and make room for a new sibling whose
+// first message is `newFirstId`. Returns the truncated active path.
+export function forkAt(messages, branches, index, newFirstId) {
+    const parentId = getParentId(messages, index);
+    const current = messages[index];
+    const group = branches[parentId] || { order: [current.id], tails: {} };
+
+    return {
+        messages: messages.slice(0, index),
+        branches: {
+            ...branches,
+            [parentId]: {
+                order: group.order.includes(current.id)
+                    ? [...group.order, newFirstId]
+                    : [...group.order, current.id, newFirstId],
+                tails: { ...group.tails, [current.id]: messages.slice(index) }
+            }
+        }
+    };
+}
+
+// Make the sibling starting with `targetId` active in place of messages[index..]
+export function switchBranch(messages, branches, index, targetId) {
+    const parentId = getParentId(messages, index);
+    const group = branches[parentId];
+    const current = messages[index];
+    if (!group?.tails[targetId] || current.id === targetId) {
+        return { messages, branches };
+    }
+
+    const tails = { ...group.tails, [current.id]: messages.slice(index) };
+    const target = tails[targetId];
+    delete tails[targetId];
+
+    return {
+        messages: [...messages.slice(0, index), ...target],
+        branches: { ...branches, [parentId]: { ...group, tails } }
+    };
+}
@@ -0,0 +1,29 @@
+// Turn a request recorded by the network inspector back into a curl command.
+// Relative URLs (the Vite /api proxy) are resolved against `origin`.
+// Credential headers stay masked unless their real values are passed in
+// `secrets` ({ name: value }).
+import { maskHeaders } from './secretHeaders';
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+export function toCurl(request, { origin = window.location.origin, secrets = {} } = {}) {
+    const url = /^https?:\/\//.test(request.url) ? request.url : origin + request.url;
+    const lines = [`curl -X ${request.method} ${shellQuote(url)}`];
+
+    Object.entries(maskHeaders(request.headers)).forEach(([name, value]) => {
+        lines.push(`-H ${shellQuote(`${name}: ${secrets[name] ?? value}`)}`);
+    });
+
+    if (request.form) {
+        // Files were not kept, so point at a local file of the same name
+        request.form.forEach(field => {
+            lines.push(field.fileName
+                ? `-F ${shellQuote(`${field.name}=@${field.fileName};type=${field.type || 'application/octet-stream'}`)}`
+                : `--form-string ${shellQuote(`${field.name}=${field.value}`)}`);
+        });
+    } else if (request.body) {
+        lines.push(`--data-raw ${shellQuote(request.body)}`);
+    }
+
+    return lines.join(' \\\n  ');
+}
@@ -0,0 +1,252 @@
+// Checks model output against a JSON Schema for structured output mode.
+// Covers the parts of JSON Schema used for response formats: type, enum,
+// const, properties, required, additionalProperties, items/prefixItems,
+// length, size and range limits, pattern, allOf/anyOf/oneOf/not and local
+// $refs (#/$defs/..., #/definitions/...). Unknown keywords are ignored.
+// Problems come back as [{ path, message }], with `path` in JSONPath style,
+// e.g. "$.items[2].price".
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+export function jsonPathChild(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return IDENTIFIER.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// "$.a.b[2]" -> "$.a.b", "$" -> null
+function jsonPathParent(path) {
+    const match = path.match(/^(.+?)(\.[A-Za-z_$][\w$]*|\[\d+\]|\["(?:[^"\\]|\\.)*"\])$/);
+    return match ? match[1] : null;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return undefined;
+    return ref.slice(1).split('/').filter(Boolean).reduce(
+        (node, part) => node?.[decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~'))],
+        root
+    );
+}
+
+export function validateJson(value, schema) {
+    const errors = [];
+
+    const passes = (item, subschema, path) => {
+        const before = errors.length;
+        check(item, subschema, path);
+        const passed = errors.length === before;
+        errors.length = before;
+        return passed;
+    };
+
+    const check = (item, subschema, path) => {
+        if (subschema === undefined || subschema === true) return;
+        if (subschema === false) {
+            errors.push({ path, message: 'No value is allowed here' });
+            return;
+        }
+        if (subschema.$ref) {
+            const target = resolveRef(subschema.$ref, schema);
+            if (target === undefined) {
+                errors.push({ path, message: `Schema reference ${subschema.$ref} not found` });
+            } else {
+                check(item, target, path);
+            }
+        }
+
+        if (subschema.type) {
+            const types = [].concat(subschema.type);
+            if (!types.some(type => matchesType(item, type))) {
+                errors.push({ path, message: `Expected ${types.join(' or ')}, got ${typeOf(item)}` });
+                return;
+            }
+        }
+        if (subschema.enum && !subschema.enum.some(option => deepEqual(option, item))) {
+            errors.push({ path, message: `Must be one of ${subschema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+        if ('const' in subschema && !deepEqual(subschema.const, item)) {
+            errors.push({ path, message: `Must be ${JSON.stringify(subschema.const)}` });
+        }
+
+        if (typeof item === 'string') {
+            if (subschema.minLength !== undefined && item.length < subschema.minLength) {
+                errors.push({ path, message: `Shorter than ${subschema.minLength} characters` });
+            }
+            if (subschema.maxLength !== undefined && item.length > subschema.maxLength) {
+                errors.push({ path, message: `Longer than ${subschema.maxLength} characters` });
+            }
+            if (subschema.pattern) {
+                try {
+                    if (!new RegExp(subschema.pattern, 'u').test(item)) {
+                        errors.push({ path, message: `Does not match pattern ${subschema.pattern}` });
+                    }
+                } catch {
+                    // An invalid pattern in the schema isn't the reply's fault
+                }
+            }
+        }
+
+        if (typeof item === 'number') {
+            if (subschema.minimum !== undefined && item < subschema.minimum) {
+                errors.push({ path, message: `Less than the minimum ${subschema.minimum}` });
+            }
+            if (subschema.maximum !== undefined && item > subschema.maximum) {
+                errors.push({ path, message: `Greater than the maximum ${subschema.maximum}` });
+            }
+            if (typeof subschema.exclusiveMinimum === 'number' && item <= subschema.exclusiveMinimum) {
+                errors.push({ path, message: `Must be greater than ${subschema.exclusiveMinimum}` });
+            }
+            if (typeof subschema.exclusiveMaximum === 'number' && item >= subschema.exclusiveMaximum) {
+                errors.push({ path, message: `Must be less than ${subschema.exclusiveMaximum}` });
+            }
+            if (subschema.multipleOf && !Number.isInteger(item / subschema.multipleOf)) {
+                errors.push({ path, message: `Not a multiple of ${subschema.multipleOf}` });
+            }
+        }
+
+        if (Array.isArray(item)) {
+            if (subschema.minItems !== undefined && item.length < subschema.minItems) {
+                errors.push({ path, message: `Fewer than ${subschema.minItems} items` });
+            }
+            if (subschema.maxItems !== undefined && item.length > subschema.maxItems) {
+                errors.push({ path, message: `More than ${subschema.maxItems} items` });
+            }
+            if (subschema.uniqueItems && new Set(item.map(entry => JSON.stringify(entry))).size !== item.length) {
+                errors.push({ path, message: 'Items are not unique' });
+            }
+            // Draft 2020-12 prefixItems, or the older array form of items
+            const tuple = subschema.prefixItems || (Array.isArray(subschema.items) ? subschema.items : null);
+            const rest = Array.isArray(subschema.items) ? subschema.additionalItems : subschema.items;
+            item.forEach((entry, index) => {
+                const entrySchema = tuple && index < tuple.length ? tuple[index] : rest;
+                check(entry, entrySchema, jsonPathChild(path, index));
+            });
+        }
+
+        if (typeOf(item) === 'object') {
+            const keys = Object.keys(item);
+            (subschema.required || []).forEach(key => {
+                if (!Object.hasOwn(item, key)) {
+                    errors.push({ path, message: `Missing required property "${key}"` });
+                }
+            });
+            if (subschema.minProperties !== undefined && keys.length < subschema.minProperties) {
+                errors.push({ path, message: `Fewer than ${subschema.minProperties} properties` });
+            }
+            if (subschema.maxProperties !== undefined && keys.length > subschema.maxProperties) {
+                errors.push({ path, message: `More than ${subschema.maxProperties} properties` });
+            }
+            const properties = subschema.properties || {};
+            keys.forEach(key => {
+                const keyPath = jsonPathChild(path, key);
+                if (Object.hasOwn(properties, key)) {
+                    check(item[key], properties[key], keyPath);
+                } else if (subschema.additionalProperties === false) {
+                    errors.push({ path: keyPath, message: 'Property is not allowed by the schema' });
+                } else if (typeof subschema.additionalProperties === 'object') {
+                    check(item[key], subschema.additionalProperties, keyPath);
+                }
+            });
+        }
+
+        (subschema.allOf || []).forEach(option => check(item, option, path));
+        if (subschema.anyOf && !subschema.anyOf.some(option => passes(item, option, path))) {
+            errors.push({ path, message: 'Does not match any of the allowed schemas (anyOf)' });
+        }
+        if (subschema.oneOf) {
+            const matches = subschema.oneOf.filter(option => passes(item, option, path)).length;
+            if (matches !== 1) {
+                errors.push({ path, message: `Matches ${matches} of the oneOf schemas instead of exactly one` });
+            }
+        }
+        if (subschema.not && passes(item, subschema.not, path)) {
+            errors.push({ path, message: 'Matches a schema it must not match (not)' });
+        }
+    };
+
+    check(value, schema, '$');
+    return errors;
+}
+
+// The JSON in a reply: the whole text, else the first fenced code block,
+// else the span from the first { or [ to the last } or ]
+export function extractJson(content) {
+    const text = (content || '').trim();
+    const fenced = text.match(/```[^\n]*\n([\s\S]*?)```/)?.[1];
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    const candidates = [text, fenced, start !== -1 && end > start ? text.slice(start, end + 1) : null];
+
+    let firstError = null;
+    for (const candidate of candidates) {
+        if (!candidate?.trim()) continue;
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (error) {
+            firstError ||= error.message;
+        }
+    }
+    return { error: start === -1 ? 'The reply contains no JSON' : `The reply is not valid JSON: ${firstError}` };
+}
+
+// Kept on an answer as `schemaCheck`: { name, valid, parseError, errors }
+export function checkStructuredOutput(content, { name, schema }) {
+    const extracted = extractJson(content);
+    if (extracted.error) {
+        return { name, valid: false, parseError: extracted.error, errors: [] };
+    }
+    const errors = validateJson(extracted.value, schema);
+    return { name, valid: errors.length === 0, parseError: null, errors };
+}
+
+// 1-based line of every path in JSON.stringify(value, null, 2)
+export function mapJsonLines(value) {
+    const lines = new Map();
+    let line = 1;
+    const visit = (node, path) => {
+        lines.set(path, line);
+        const entries = node && typeof node === 'object'
+            ? (Array.isArray(node) ? node.map((item, index) => [index, item]) : Object.entries(node))
+            : [];
+        if (entries.length === 0) {
+            // Scalars and empty {} / [] take a single line
+            line += 1;
+            return;
+        }
+        line += 1;
+        entries.forEach(([key, item]) => visit(item, jsonPathChild(path, key)));
+        line += 1;
+    };
+    visit(value, '$');
+    return lines;
+}
+
+// Lines to highlight for the given paths; a path that isn't in the value
+// (e.g. a missing property) falls back to its nearest parent
+export function linesForPaths(lines, paths) {
+    const result = new Set();
+    paths.forEach(path => {
+        let current = path;
+        while (current && !lines.has(current)) {
+            current = jsonPathParent(current);
+        }
+        if (current) {
+            result.add(lines.get(current));
+        }
+    });
+    return result;
+}
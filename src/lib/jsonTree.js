@@ -0,0 +1,94 @@
+// Helpers for the collapsible JSON tree in chat replies. Paths use the same
+// JSONPath style as the schema checks ("$.steps[3].output").
+import { jsonPathChild } from './jsonSchema';
+
+// JSON.parse, falling back to unescaping first for JSON that arrives as an
+// escaped string (\n, \t, \", ...). Returns { value } or null.
+export function parseLooseJson(text) {
+    try {
+        return { value: JSON.parse(text) };
+    } catch {
+        // Try again unescaped
+    }
+    try {
+        const unescaped = text
+            .replace(/\\n/g, '\n')
+            .replace(/\\t/g, '\t')
+            .replace(/\\r/g, '\r')
+            .replace(/\\"/g, '"')
+            .replace(/\\\\/g, '\\');
+        return { value: JSON.parse(unescaped) };
+    } catch {
+        return null;
+    }
+}
+
+export function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+// An object or array serialized inside a string value (common in agent
+// traces), or null
+export function embeddedJson(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return null;
+    const parsed = parseLooseJson(value);
+    return parsed && isContainer(parsed.value) ? parsed.value : null;
+}
+
+// [[key, child]] of an object or array
+export function childEntries(value) {
+    return Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+}
+
+export function typeLabel(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return `array(${value.length})`;
+    if (typeof value === 'object') return `object(${Object.keys(value).length})`;
+    return typeof value;
+}
+
+// A node's location as JSONPath segments. A string holding serialized JSON
+// starts a document of its own, so its children get a new segment that
+// restarts at "$": ["$.trace", "$.steps[0]"] is steps[0] inside the JSON
+// string at $.trace. Only the last segment is a path into its own document.
+export const ROOT_SEGMENTS = ['$'];
+
+export function childSegments(segments, key, insideString) {
+    return insideString
+        ? [...segments, jsonPathChild('$', key)]
+        : [...segments.slice(0, -1), jsonPathChild(segments[segments.length - 1], key)];
+}
+
+// Identity of a node for expansion state and search results
+export function segmentsKey(segments) {
+    return JSON.stringify(segments);
+}
+
+// Keys (see segmentsKey) of the nodes whose key or scalar value contains
+// `query` (case-insensitive), and of every node above them so they can be
+// expanded into view
+export function searchJson(value, query) {
+    const matches = new Set();
+    const ancestors = new Set();
+    const needle = query.trim().toLowerCase();
+    if (!needle) return { matches, ancestors };
+
+    const visit = (node, segments, key, parents) => {
+        const embedded = embeddedJson(node);
+        const keyMatches = key !== null && String(key).toLowerCase().includes(needle);
+        const valueMatches = !isContainer(node) && !embedded && String(node).toLowerCase().includes(needle);
+        const nodeKey = segmentsKey(segments);
+        if (keyMatches || valueMatches) {
+            matches.add(nodeKey);
+            parents.forEach(parent => ancestors.add(parent));
+        }
+        const container = embedded || (isContainer(node) ? node : null);
+        if (container) {
+            childEntries(container).forEach(([childKey, child]) => (
+                visit(child, childSegments(segments, childKey, Boolean(embedded)), childKey, [...parents, nodeKey])
+            ));
+        }
+    };
+    visit(value, ROOT_SEGMENTS, null, []);
+    return { matches, ancestors };
+}
@@ -0,0 +1,29 @@
+// Plain text from Markdown, for "copy as text": drops the syntax but keeps
+// code, link text and list structure
+export function markdownToText(markdown) {
+    // Code is set aside first so the rules below leave it untouched
+    const code = [];
+    const keep = (text) => `\uE000${code.push(text) - 1}\uE000`;
+
+    return markdown
+        .replace(/^```[^\n]*\n([\s\S]*?)^```[ \t]*$/gm, (block, contents) => keep(contents.replace(/\n$/, '')))
+        .replace(/`([^`\n]+)`/g, (span, contents) => keep(contents))
+        // Images and links keep their text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^>\s?/gm, '')
+        .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/^(\s*)[*+-]\s+/gm, '$1• ')
+        // Table rows lose their pipes and separator lines
+        .replace(/^\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+        .replace(/^\|(.*)\|\s*$/gm, (row, cells) => cells.split('|').map(cell => cell.trim()).join('\t'))
+        .replace(/(\*\*|__)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        // Underscores inside words (snake_case) are not emphasis
+        .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?![\w])/gm, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/\uE000(\d+)\uE000/g, (placeholder, index) => code[index])
+        .trim();
+}
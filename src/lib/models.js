@@ -0,0 +1,80 @@
+// Model descriptors for the model selector. /api/azure/models may return
+// plain ids (["gpt-4", ...]) or objects; both become
+//   { id, name, provider, contextWindow, capabilities: [...], deprecated, description }
+// Missing fields are filled in from the id where a good guess exists.
+
+export const CAPABILITIES = {
+    workflow: 'Workflows',
+    vision: 'Vision',
+    tools: 'Tools',
+    json: 'JSON'
+};
+
+const PROVIDER_PREFIXES = [
+    [/^(gpt|o\d|text-|davinci|dall-e)/i, 'OpenAI'],
+    [/^claude/i, 'Anthropic'],
+    [/^(gemini|palm)/i, 'Google'],
+    [/^(llama|meta-)/i, 'Meta'],
+    [/^(mistral|mixtral|codestral)/i, 'Mistral']
+];
+
+function guessProvider(id) {
+    return PROVIDER_PREFIXES.find(([pattern]) => pattern.test(id))?.[1] || 'Other';
+}
+
+// Capabilities as an array (["vision"]) or a flag object ({ vision: true })
+function readCapabilities(value, id) {
+    if (Array.isArray(value)) return value.map(String);
+    if (value && typeof value === 'object') {
+        return Object.entries(value).filter(([, enabled]) => enabled).map(([name]) => name);
+    }
+    return /wave/i.test(id) ? ['workflow'] : [];
+}
+
+export function normalizeModel(entry) {
+    if (typeof entry === 'string') {
+        return normalizeModel({ id: entry });
+    }
+    const id = String(entry.id ?? entry.model ?? entry.name);
+    const contextWindow = entry.context_window ?? entry.contextWindow ?? entry.max_context_tokens ?? null;
+    return {
+        id,
+        name: entry.name || entry.display_name || id,
+        provider: entry.provider || entry.owned_by || guessProvider(id),
+        contextWindow: contextWindow ? Number(contextWindow) : null,
+        capabilities: readCapabilities(entry.capabilities, id),
+        deprecated: Boolean(entry.deprecated || entry.status === 'deprecated'),
+        description: entry.description || ''
+    };
+}
+
+// [{ provider, models }] in first-seen provider order; deprecated models
+// sink to the end of their group
+export function groupModelsByProvider(models) {
+    const groups = new Map();
+    models.forEach(model => {
+        if (!groups.has(model.provider)) {
+            groups.set(model.provider, []);
+        }
+        groups.get(model.provider).push(model);
+    });
+    return [...groups].map(([provider, group]) => ({
+        provider,
+        models: [...group.filter(model => !model.deprecated), ...group.filter(model => model.deprecated)]
+    }));
+}
+
+export function matchesModelFilter(model, filter) {
+    const needle = filter.trim().toLowerCase();
+    if (!needle) return true;
+    return [model.id, model.name, model.provider, ...model.capabilities.map(capability => CAPABILITIES[capability] || capability)]
+        .some(value => value.toLowerCase().includes(needle));
+}
+
+// 128000 -> "128K", 1048576 -> "1M"
+export function formatContextWindow(tokens) {
+    if (!tokens) return null;
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${Math.round(tokens / 1000)}K`;
+    return String(tokens);
+}
@@ -0,0 +1,27 @@
+// Header values that look like credentials are masked before a request is
+// kept for the network inspector, saved with a conversation or copied as
+// curl. Matched by name: Authorization, cookies and anything mentioning a
+// key, token, secret, password, session or auth.
+const SECRET_HEADER = /^(proxy-)?authorization$|^(set-)?cookie$|key|token|secret|passw|session|auth|signature/i;
+
+const MASK = '••••••••';
+
+export function isSecretHeader(name) {
+    return SECRET_HEADER.test(name);
+}
+
+// "Bearer abc123" keeps its scheme: "Bearer ••••••••"
+function maskValue(value) {
+    const scheme = /^(Bearer|Basic|Token|Digest)\s+/i.exec(value);
+    return scheme ? scheme[0] + MASK : MASK;
+}
+
+export function maskHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => (
+        [name, value && isSecretHeader(name) ? maskValue(String(value)) : value]
+    )));
+}
+
+export function hasSecretHeaders(headers) {
+    return Object.keys(headers || {}).some(isSecretHeader);
+}
@@ -0,0 +1,2 @@
+// Shared Tailwind class strings for form controls in dialogs and panels
+export const inputClassName = 'w-full bg-secondary border border-border rounded-lg px-3 py-2 text-sm text-foreground placeholder-muted-foreground focus:outline-none focus:ring-1 focus:ring-ring';
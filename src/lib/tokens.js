@@ -0,0 +1,6 @@
+// Rough client-side token estimate. Most BPE tokenizers average ~4 characters
+// per token for English text, which is close enough for budgeting.
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+}
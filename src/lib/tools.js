@@ -0,0 +1,141 @@
+// Tool (function) calling. Tools are defined in the Tools dialog and kept in
+// settings as { id, name, description, parameters, mock, enabled }, where
+// `parameters` (a JSON Schema for the arguments) and `mock` (a canned result)
+// are JSON text as typed. Tool calls on an answer are kept as
+//   { id, name, arguments, result }
+// with `arguments` the JSON text the model produced and `result` the text
+// sent back (null until answered).
+import { createId } from './utils';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export function createTool() {
+    return {
+        id: createId(),
+        name: '',
+        description: '',
+        parameters: JSON.stringify({ type: 'object', properties: {}, required: [] }, null, 2),
+        mock: '',
+        enabled: true
+    };
+}
+
+function parseJsonText(text) {
+    try {
+        return { value: JSON.parse(text) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// The first problem with a tool definition, or null when it can be sent
+export function validateTool(tool, tools) {
+    if (!TOOL_NAME_PATTERN.test(tool.name)) {
+        return 'Name must be 1-64 letters, digits, _ or -';
+    }
+    if (tools.some(other => other.id !== tool.id && other.name === tool.name)) {
+        return `Another tool is already called ${tool.name}`;
+    }
+    const parameters = parseJsonText(tool.parameters);
+    if (parameters.error) {
+        return `Parameters: ${parameters.error}`;
+    }
+    if (!parameters.value || typeof parameters.value !== 'object' || Array.isArray(parameters.value)) {
+        return 'Parameters must be a JSON Schema object';
+    }
+    const mock = tool.mock.trim() ? parseJsonText(tool.mock) : {};
+    if (mock.error) {
+        return `Mock result: ${mock.error}`;
+    }
+    return null;
+}
+
+// Enabled tools in the OpenAI `tools` request format
+export function toRequestTools(tools = []) {
+    return tools
+        .filter(tool => tool.enabled && !validateTool(tool, tools))
+        .map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: JSON.parse(tool.parameters)
+            }
+        }));
+}
+
+const stringifyArguments = (value) => (typeof value === 'string' ? value : JSON.stringify(value ?? {}));
+
+// Tool calls from a response body: top-level `tool_calls` (our backend) or
+// OpenAI's `choices[0].message.tool_calls`. Entries may be OpenAI-style
+// { id, function: { name, arguments } } or flat { id, name, arguments }.
+export function readToolCalls(data) {
+    const calls = data?.tool_calls ?? data?.choices?.[0]?.message?.tool_calls;
+    if (!Array.isArray(calls) || calls.length === 0) return null;
+
+    return calls.map(call => ({
+        id: call.id || createId(),
+        name: call.function?.name ?? call.name ?? '',
+        arguments: stringifyArguments(call.function?.arguments ?? call.arguments),
+        result: null
+    }));
+}
+
+// Streamed OpenAI tool calls arrive as `choices[0].delta.tool_calls` pieces
+// keyed by index: the id and name once, the arguments a fragment at a time
+export function mergeToolCallDeltas(calls, deltas) {
+    const merged = [...calls];
+    deltas.forEach(delta => {
+        const index = delta.index ?? merged.length;
+        const current = merged[index] || { id: '', name: '', arguments: '', result: null };
+        merged[index] = {
+            ...current,
+            id: delta.id || current.id,
+            name: current.name + (delta.function?.name ?? ''),
+            arguments: current.arguments + (delta.function?.arguments ?? '')
+        };
+    });
+    return merged;
+}
+
+// An answer with tool calls as chat history: the assistant turn carrying the
+// calls, then one `tool` message per answered call
+export function toHistoryMessages(msg) {
+    if (!msg.toolCalls) {
+        return [{ role: msg.role, content: msg.content }];
+    }
+    return [
+        {
+            role: 'assistant',
+            content: msg.content || '',
+            tool_calls: msg.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments }
+            }))
+        },
+        ...msg.toolCalls
+            .filter(call => call.result !== null && call.result !== undefined)
+            .map(call => ({ role: 'tool', tool_call_id: call.id, name: call.name, content: call.result }))
+    ];
+}
+
+// Arguments pretty-printed, or the raw text with the parse error
+export function formatArguments(text) {
+    const parsed = parseJsonText(text || '{}');
+    return parsed.error
+        ? { text, error: parsed.error }
+        : { text: JSON.stringify(parsed.value, null, 2), error: null };
+}
+
+// { [callId]: result } from each called tool's mock, or null unless every
+// call has one
+export function mockToolResults(toolCalls, tools = []) {
+    const results = {};
+    for (const call of toolCalls) {
+        const tool = tools.find(candidate => candidate.name === call.name);
+        if (!tool?.mock.trim()) return null;
+        results[call.id] = tool.mock.trim();
+    }
+    return results;
+}
@@ -0,0 +1,93 @@
+// Token usage and cost of answers. Usage is kept on each answer as
+//   { promptTokens, completionTokens, totalTokens, estimated }
+// from the backend's `usage` field when it sends one, otherwise estimated on
+// the client from the text of the request and the answer (`estimated: true`).
+import { estimateTokens } from './tokens';
+
+// OpenAI-style { prompt_tokens, completion_tokens, total_tokens } or
+// Anthropic-style { input_tokens, output_tokens }; null when absent
+export function readUsage(data) {
+    const usage = data?.usage;
+    if (!usage || typeof usage !== 'object') return null;
+
+    const promptTokens = Number(usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokens ?? 0);
+    const completionTokens = Number(usage.completion_tokens ?? usage.output_tokens ?? usage.completionTokens ?? 0);
+    const totalTokens = Number(usage.total_tokens ?? usage.totalTokens ?? promptTokens + completionTokens);
+    if (!totalTokens) return null;
+
+    return { promptTokens, completionTokens, totalTokens, estimated: false };
+}
+
+// From the chat request body (see buildChatRequestBody) and the answer text.
+// Attachments aren't counted.
+export function estimateUsage(body, content) {
+    const promptTokens = body.messages
+        ? body.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0)
+        : estimateTokens(body.message);
+    const completionTokens = estimateTokens(content);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+// Price rows come from Settings: [{ id, model, input, output }] in USD per
+// million prompt (input) and completion (output) tokens
+export function findPrice(prices = [], model) {
+    return prices.find(price => price.model?.trim() === model) || null;
+}
+
+export function estimateCost(usage, price) {
+    if (!usage || !price) return null;
+    return (usage.promptTokens * (Number(price.input) || 0) + usage.completionTokens * (Number(price.output) || 0)) / 1000000;
+}
+
+export function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// $0.0042 for fractions of a cent, $1.23 otherwise
+export function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+// Every answer in a thread: plain replies and each compare-mode column
+const listReplies = (messages) => messages
+    .filter(msg => msg.role === 'assistant')
+    .flatMap(msg => msg.comparison || [msg]);
+
+// Running totals for a thread, overall and per model:
+//   { replies, promptTokens, completionTokens, totalTokens, latencyMs, cost,
+//     estimated, priced, unpriced, models: [{ model, replies, ...same totals }] }
+// `estimated` is set when any usage was estimated. `priced` and `unpriced`
+// count replies with usage whose model has a price or not; only priced ones
+// add to `cost`.
+export function summarizeUsage(messages, prices) {
+    const empty = () => ({ replies: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0, cost: 0, estimated: false, priced: 0, unpriced: 0 });
+    const total = empty();
+    const byModel = new Map();
+
+    listReplies(messages)
+        .filter(reply => reply.usage || reply.latencyMs != null)
+        .forEach(reply => {
+            if (!byModel.has(reply.model)) {
+                byModel.set(reply.model, { model: reply.model, ...empty() });
+            }
+            const cost = estimateCost(reply.usage, findPrice(prices, reply.model));
+            [total, byModel.get(reply.model)].forEach(summary => {
+                summary.replies += 1;
+                summary.latencyMs += reply.latencyMs || 0;
+                if (reply.usage) {
+                    summary.promptTokens += reply.usage.promptTokens;
+                    summary.completionTokens += reply.usage.completionTokens;
+                    summary.totalTokens += reply.usage.totalTokens;
+                    summary.estimated ||= reply.usage.estimated;
+                    if (cost === null) {
+                        summary.unpriced += 1;
+                    } else {
+                        summary.priced += 1;
+                        summary.cost += cost;
+                    }
+                }
+            });
+        });
+
+    return { ...total, models: [...byModel.values()] };
+}
@@ -4,3 +4,36 @@ import { twMerge } from 'tailwind-merge';
 export function cn(...inputs) {
     return twMerge(clsx(inputs));
 }
+
+// Generate a reasonably unique id for client-side records (messages, conversations...)
+export function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Short "5m ago" style label for list timestamps; falls back to a date after a week
+export function formatRelativeTime(timestamp) {
+    if (!timestamp) return '';
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.round(hours / 24);
+    if (days < 7) return `${days}d ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+// Save text as a file through a temporary download link
+export function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download before the browser reads it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
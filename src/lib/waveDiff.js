@@ -0,0 +1,57 @@
+// Node-level comparison of two gpt-wave versions. Nodes are matched by id:
+//   added   - only in the newer version
+//   removed - only in the older version
+//   changed - in both, with different fields or moved to another block
+// Branch contents are not part of a decision's own fields; the nodes inside
+// them are compared on their own.
+
+// id -> { fields, block } for every node, where `block` names the list the
+// node sits in ("root" or "<decision id>.if_block"/"else_block")
+function indexWave(wave) {
+    const index = new Map();
+    const visit = (nodeList, block) => (Array.isArray(nodeList) ? nodeList : []).forEach(node => {
+        if (!node?.id || index.has(node.id)) return;
+        const fields = Object.fromEntries(Object.entries(node).filter(([key]) => key !== 'if_block' && key !== 'else_block'));
+        index.set(node.id, { fields, block });
+        visit(node.if_block, `${node.id}.if_block`);
+        visit(node.else_block, `${node.id}.else_block`);
+    });
+    visit(wave, 'root');
+    return index;
+}
+
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before.fields), ...Object.keys(after.fields)]);
+    const fields = [...keys].filter(key => JSON.stringify(before.fields[key]) !== JSON.stringify(after.fields[key]));
+    if (before.block !== after.block) {
+        fields.push('position');
+    }
+    return fields;
+}
+
+// Returns { changes: [{ id, status, fields }], statusById: { [id]: status } }
+export function diffWaves(before, after) {
+    const beforeIndex = indexWave(before);
+    const afterIndex = indexWave(after);
+    const changes = [];
+
+    afterIndex.forEach((entry, id) => {
+        const previous = beforeIndex.get(id);
+        if (!previous) {
+            changes.push({ id, status: 'added', fields: [] });
+            return;
+        }
+        const fields = changedFields(previous, entry);
+        if (fields.length > 0) {
+            changes.push({ id, status: 'changed', fields });
+        }
+    });
+    beforeIndex.forEach((entry, id) => {
+        if (!afterIndex.has(id)) {
+            changes.push({ id, status: 'removed', fields: [] });
+        }
+    });
+
+    const statusById = Object.fromEntries(changes.map(change => [change.id, change.status]));
+    return { changes, statusById };
+}
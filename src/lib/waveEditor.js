@@ -0,0 +1,122 @@
+// Immutable edit operations on a gpt-wave tree. Every function returns a new
+// wave array and leaves the input untouched, so edits can be undone by keeping
+// the previous arrays around.
+
+// Apply `fn` to every node list in the tree (top level and every branch).
+// `fn` receives a list and returns the list to use in its place.
+function mapLists(wave, fn) {
+    const visit = (nodeList) => fn(nodeList.map(node => {
+        if (node?.type !== 'decision') return node;
+        const mapped = { ...node };
+        if (Array.isArray(node.if_block)) mapped.if_block = visit(node.if_block);
+        if (Array.isArray(node.else_block)) mapped.else_block = visit(node.else_block);
+        return mapped;
+    }));
+    return visit(wave);
+}
+
+export function findNode(wave, id) {
+    for (const node of wave) {
+        if (node?.id === id) return node;
+        if (node?.type === 'decision') {
+            const found = findNode(node.if_block || [], id) || findNode(node.else_block || [], id);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+export function collectIds(wave) {
+    const ids = new Set();
+    const visit = (nodeList) => (nodeList || []).forEach(node => {
+        if (node?.id) ids.add(node.id);
+        visit(node?.if_block);
+        visit(node?.else_block);
+    });
+    visit(wave);
+    return ids;
+}
+
+// A fresh node of the given type with an id not used anywhere in the wave
+export function createNode(type, wave) {
+    const ids = collectIds(wave);
+    let counter = 1;
+    while (ids.has(`${type}_${counter}`)) {
+        counter++;
+    }
+    const id = `${type}_${counter}`;
+
+    switch (type) {
+        case 'user_interaction':
+            return { id, type, prompt: { 'en-US': [''] } };
+        case 'api_call':
+            return { id, type, api_name: '' };
+        case 'decision':
+            return { id, type, expression: { 'en-US': '' }, if_block: [], else_block: [] };
+        default:
+            return { id, type };
+    }
+}
+
+export function updateNode(wave, id, changes) {
+    return mapLists(wave, list => list.map(node => (node?.id === id ? { ...node, ...changes } : node)));
+}
+
+// Replace a node wholesale, keeping its branches when `replacement` has none
+export function replaceNode(wave, id, replacement) {
+    return mapLists(wave, list => list.map(node => {
+        if (node?.id !== id) return node;
+        if (node.type === 'decision' && replacement.type === 'decision') {
+            return {
+                ...replacement,
+                if_block: replacement.if_block || node.if_block,
+                else_block: replacement.else_block || node.else_block
+            };
+        }
+        return replacement;
+    }));
+}
+
+export function removeNode(wave, id) {
+    return mapLists(wave, list => list.filter(node => node?.id !== id));
+}
+
+// Insert `newNode` at a target:
+//   { beforeId } / { afterId }      - next to that node, in the same block
+//   { decisionId, branch, index }   - into a decision's if_block/else_block
+//   {}                              - at the end of the top-level wave
+export function insertNode(wave, newNode, target = {}) {
+    const siblingId = target.beforeId || target.afterId;
+    if (siblingId) {
+        return mapLists(wave, list => {
+            const index = list.findIndex(node => node?.id === siblingId);
+            if (index === -1) return list;
+            const at = target.beforeId ? index : index + 1;
+            return [...list.slice(0, at), newNode, ...list.slice(at)];
+        });
+    }
+    if (target.decisionId) {
+        const key = target.branch === 'else' ? 'else_block' : 'if_block';
+        return mapLists(wave, list => list.map(node => {
+            if (node?.id !== target.decisionId) return node;
+            const block = [...(node[key] || [])];
+            block.splice(target.index ?? block.length, 0, newNode);
+            return { ...node, [key]: block };
+        }));
+    }
+    return [...wave, newNode];
+}
+
+// Move a node (with its subtree) to a new target. Moving a node next to or
+// into itself is refused and returns the wave unchanged.
+export function moveNode(wave, id, target) {
+    const node = findNode(wave, id);
+    if (!node) return wave;
+
+    const targetId = target.beforeId || target.afterId || target.decisionId;
+    if (targetId === id || (node.type === 'decision' && findNode([...(node.if_block || []), ...(node.else_block || [])], targetId))) {
+        return wave;
+    }
+
+    return insertNode(removeNode(wave, id), node, target);
+}
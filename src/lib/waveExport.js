@@ -0,0 +1,212 @@
+// Export a gpt-wave workflow outside the app: a Mermaid flowchart definition,
+// or a standalone SVG/PNG drawn from the same layout as the ReactFlow canvas.
+// Both take the canvas layout: `direction` ('TB' or 'LR') and the `collapsed`
+// Set of decision ids whose branches are hidden.
+import { parseWaveToGraph, describeNode, EDGE_COLORS, NODE_WIDTH, NODE_HEIGHT } from './waveGraph';
+
+const NODE_STYLES = {
+    user_interaction: { title: 'User Interaction', color: '#3b82f6', mermaidClass: 'userInteraction' },
+    api_call: { title: 'API Call', color: '#22c55e', mermaidClass: 'apiCall' },
+    decision: { title: 'Decision', color: '#eab308', mermaidClass: 'decision' },
+};
+const FALLBACK_STYLE = { title: 'Node', color: '#64748b', mermaidClass: 'other' };
+
+const BACKGROUND = '#0f172a';
+const TEXT_COLOR = '#f8fafc';
+const MUTED_TEXT_COLOR = '#cbd5e1';
+const PADDING = 24;
+
+function truncate(text, length) {
+    const singleLine = String(text).replace(/\s+/g, ' ').trim();
+    return singleLine.length > length ? `${singleLine.slice(0, length - 1)}…` : singleLine;
+}
+
+// Mermaid ids must be plain words, and "end" is a keyword
+function createMermaidIds(nodes) {
+    const ids = new Map();
+    const used = new Set();
+    nodes.forEach(node => {
+        let id = node.id.replace(/[^A-Za-z0-9_]/g, '_') || 'node';
+        if (/^end$/i.test(id)) id = `${id}_`;
+        let unique = id;
+        for (let counter = 2; used.has(unique); counter++) {
+            unique = `${id}_${counter}`;
+        }
+        used.add(unique);
+        ids.set(node.id, unique);
+    });
+    return ids;
+}
+
+function mermaidLabel({ node, collapsed, hiddenCount }) {
+    let text = truncate(describeNode(node), 60).replace(/"/g, '#quot;');
+    if (collapsed) text += ` (+${hiddenCount} hidden)`;
+    return node.ended ? `${text} (end)` : text;
+}
+
+function mermaidShape(data) {
+    const { node } = data;
+    const label = `"${mermaidLabel(data)}"`;
+    switch (node.type) {
+        case 'user_interaction':
+            return `[/${label}/]`;
+        case 'api_call':
+            return `[[${label}]]`;
+        case 'decision':
+            return `{${label}}`;
+        default:
+            return `[${label}]`;
+    }
+}
+
+export function waveToMermaid(wave, { direction = 'TB', collapsed } = {}) {
+    const { nodes, edges } = parseWaveToGraph(wave, { direction, collapsed });
+    const ids = createMermaidIds(nodes);
+    const lines = [`flowchart ${direction === 'LR' ? 'LR' : 'TD'}`];
+
+    nodes.forEach(({ id, data }) => {
+        lines.push(`    ${ids.get(id)}${mermaidShape(data)}`);
+    });
+    edges.forEach(edge => {
+        const arrow = edge.label ? `-->|${edge.label}|` : '-->';
+        lines.push(`    ${ids.get(edge.source)} ${arrow} ${ids.get(edge.target)}`);
+    });
+
+    // Same colors as the canvas
+    Object.values({ ...NODE_STYLES, other: FALLBACK_STYLE }).forEach(style => {
+        const members = nodes.filter(node => (NODE_STYLES[node.type] || FALLBACK_STYLE) === style);
+        if (members.length === 0) return;
+        lines.push(`    classDef ${style.mermaidClass} fill:${style.color}33,stroke:${style.color},stroke-width:2px`);
+        lines.push(`    class ${members.map(node => ids.get(node.id)).join(',')} ${style.mermaidClass}`);
+    });
+
+    return lines.join('\n');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Split a description into at most `maxLines` lines of roughly `width` characters
+function wrapText(text, width, maxLines) {
+    const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        if (line && (line + ' ' + word).length > width) {
+            lines.push(line);
+            line = word;
+            if (lines.length === maxLines) break;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (lines.length < maxLines && line) {
+        lines.push(line);
+    } else if (lines.length === maxLines) {
+        lines[maxLines - 1] = truncate(`${lines[maxLines - 1]} …`, width);
+    }
+    return lines;
+}
+
+// Edge endpoints follow the canvas handles: bottom -> top, or right -> left
+function edgePath(source, target, horizontal) {
+    if (horizontal) {
+        const sx = source.x + NODE_WIDTH;
+        const sy = source.y + NODE_HEIGHT / 2;
+        const tx = target.x;
+        const ty = target.y + NODE_HEIGHT / 2;
+        const mid = (sx + tx) / 2;
+        return { d: `M ${sx} ${sy} C ${mid} ${sy}, ${mid} ${ty}, ${tx} ${ty}`, labelX: mid, labelY: (sy + ty) / 2 };
+    }
+    const sx = source.x + NODE_WIDTH / 2;
+    const sy = source.y + NODE_HEIGHT;
+    const tx = target.x + NODE_WIDTH / 2;
+    const ty = target.y;
+    const mid = (sy + ty) / 2;
+    return { d: `M ${sx} ${sy} C ${sx} ${mid}, ${tx} ${mid}, ${tx} ${ty}`, labelX: (sx + tx) / 2, labelY: mid };
+}
+
+function renderNode({ position, data }) {
+    const { node } = data;
+    const style = NODE_STYLES[node.type] || FALLBACK_STYLE;
+    const lines = wrapText(describeNode(node), 42, node.ended ? 2 : 3);
+    const x = position.x;
+    const y = position.y;
+
+    return [
+        `<g>`,
+        `<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8" fill="${style.color}33" stroke="${style.color}" stroke-width="2"/>`,
+        `<text x="${x + 16}" y="${y + 24}" fill="${style.color}" font-size="14" font-weight="600">${escapeXml(style.title)} · ${escapeXml(truncate(node.id, 24))}</text>`,
+        ...lines.map((line, index) => (
+            `<text x="${x + 16}" y="${y + 46 + index * 16}" fill="${MUTED_TEXT_COLOR}" font-size="12"${node.type === 'decision' ? ' font-family="monospace"' : ''}>${escapeXml(line)}</text>`
+        )),
+        node.ended ? `<text x="${x + 16}" y="${y + NODE_HEIGHT - 12}" fill="#f87171" font-size="12" font-weight="600">End</text>` : '',
+        data.collapsed ? `<text x="${x + NODE_WIDTH - 16}" y="${y + NODE_HEIGHT - 12}" fill="${style.color}" font-size="12" text-anchor="end">${data.hiddenCount} hidden</text>` : '',
+        `</g>`,
+    ].join('');
+}
+
+function renderEdge(edge, positions, horizontal) {
+    const { d, labelX, labelY } = edgePath(positions[edge.source], positions[edge.target], horizontal);
+    const color = edge.style?.stroke || EDGE_COLORS.default;
+    const marker = color === EDGE_COLORS.yes ? 'yes' : color === EDGE_COLORS.no ? 'no' : 'default';
+    const label = edge.label
+        ? `<rect x="${labelX - 16}" y="${labelY - 10}" width="32" height="20" rx="4" fill="${BACKGROUND}"/>` +
+          `<text x="${labelX}" y="${labelY + 4}" fill="${color}" font-size="12" font-weight="600" text-anchor="middle">${escapeXml(edge.label)}</text>`
+        : '';
+    return `<path d="${d}" fill="none" stroke="${color}" stroke-width="2" marker-end="url(#arrow-${marker})"/>${label}`;
+}
+
+// Standalone SVG document of the workflow as laid out on the canvas
+export function waveToSvg(wave, { direction = 'TB', collapsed } = {}) {
+    const horizontal = direction === 'LR';
+    const { nodes, edges } = parseWaveToGraph(wave, { direction, collapsed });
+    const positions = Object.fromEntries(nodes.map(node => [node.id, node.position]));
+
+    const width = Math.max(0, ...nodes.map(node => node.position.x + NODE_WIDTH)) + PADDING * 2;
+    const height = Math.max(0, ...nodes.map(node => node.position.y + NODE_HEIGHT)) + PADDING * 2;
+
+    const markers = Object.entries({ yes: EDGE_COLORS.yes, no: EDGE_COLORS.no, default: EDGE_COLORS.default })
+        .map(([name, color]) => (
+            `<marker id="arrow-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+            `<path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+        ))
+        .join('');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="-apple-system, 'Segoe UI', Roboto, sans-serif">`,
+        `<defs>${markers}</defs>`,
+        `<rect width="100%" height="100%" fill="${BACKGROUND}"/>`,
+        `<g transform="translate(${PADDING} ${PADDING})" fill="${TEXT_COLOR}">`,
+        ...edges.map(edge => renderEdge(edge, positions, horizontal)),
+        ...nodes.map(renderNode),
+        `</g>`,
+        `</svg>`,
+    ].join('\n');
+}
+
+// Rasterize an SVG document in the browser; resolves with a PNG blob
+export function svgToPng(svg, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width * scale;
+            canvas.height = image.height * scale;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PNG'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load SVG'));
+        };
+        image.src = url;
+    });
+}
@@ -0,0 +1,236 @@
+// Parser and evaluator for decision expressions. Waves come from model output
+// and shared files, so expressions are never run as code: only comparisons,
+// and/or/not (also &&, || and !), parentheses, string/number/boolean/null
+// literals and variable lookups (a.b.c, a["odd key"], items[0]) are allowed.
+// Keywords and literals are case-insensitive (AND, True, NULL). Unlike
+// JavaScript, not/! applies to the whole comparison after it.
+
+const KEYWORDS = new Map([['and', 'and'], ['or', 'or'], ['not', 'not'], ['&&', 'and'], ['||', 'or'], ['!', 'not']]);
+const COMPARISONS = ['===', '!==', '==', '!=', '<=', '>=', '<', '>'];
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const space = rest.match(/^\s+/);
+        if (space) {
+            index += space[0].length;
+            continue;
+        }
+
+        const char = text[index];
+        if (char === '"' || char === "'") {
+            let value = '';
+            let end = index + 1;
+            while (end < text.length && text[end] !== char) {
+                if (text[end] === '\\' && end + 1 < text.length) {
+                    end++;
+                    value += ESCAPES[text[end]] ?? text[end];
+                } else {
+                    value += text[end];
+                }
+                end++;
+            }
+            if (end >= text.length) {
+                throw new SyntaxError(`Unterminated string at position ${index + 1}`);
+            }
+            tokens.push({ type: 'literal', value, text: text.slice(index, end + 1), position: index });
+            index = end + 1;
+            continue;
+        }
+
+        const number = rest.match(/^\d+(\.\d+)?(e[+-]?\d+)?/i);
+        if (number) {
+            tokens.push({ type: 'literal', value: Number(number[0]), text: number[0], position: index });
+            index += number[0].length;
+            continue;
+        }
+
+        const word = rest.match(/^[A-Za-z_$][\w$]*/);
+        if (word) {
+            const lower = word[0].toLowerCase();
+            const token = { text: word[0], position: index };
+            if (KEYWORDS.has(lower)) {
+                tokens.push({ ...token, type: KEYWORDS.get(lower) });
+            } else if (lower === 'true' || lower === 'false') {
+                tokens.push({ ...token, type: 'literal', value: lower === 'true' });
+            } else if (lower === 'null') {
+                tokens.push({ ...token, type: 'literal', value: null });
+            } else {
+                tokens.push({ ...token, type: 'name', value: word[0] });
+            }
+            index += word[0].length;
+            continue;
+        }
+
+        const operator = ['&&', '||', ...COMPARISONS].find(op => rest.startsWith(op));
+        if (operator) {
+            tokens.push(KEYWORDS.has(operator)
+                ? { type: KEYWORDS.get(operator), text: operator, position: index }
+                : { type: 'compare', value: operator, text: operator, position: index });
+            index += operator.length;
+            continue;
+        }
+        if ('!()[].-'.includes(char)) {
+            tokens.push({ type: KEYWORDS.get(char) || char, text: char, position: index });
+            index++;
+            continue;
+        }
+
+        throw new SyntaxError(`Unexpected "${char}" at position ${index + 1}`);
+    }
+
+    return tokens;
+}
+
+// Returns the syntax tree of an expression; throws SyntaxError when it isn't
+// one the simulator can run
+export function parseExpression(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.text}" at position ${token.position + 1}` : 'the end');
+    const expect = (type, label = `"${type}"`) => {
+        const token = tokens[index];
+        if (token?.type !== type) {
+            throw new SyntaxError(`Expected ${label}, found ${describe(token)}`);
+        }
+        index++;
+        return token;
+    };
+
+    const parseBinary = (type, parseOperand) => {
+        let left = parseOperand();
+        while (peek()?.type === type) {
+            index++;
+            left = { type, left, right: parseOperand() };
+        }
+        return left;
+    };
+
+    const parseOr = () => parseBinary('or', parseAnd);
+    const parseAnd = () => parseBinary('and', parseNot);
+
+    const parseNot = () => {
+        if (peek()?.type === 'not') {
+            index++;
+            return { type: 'not', operand: parseNot() };
+        }
+        const left = parseOperand();
+        if (peek()?.type === 'compare') {
+            const operator = tokens[index++].value;
+            return { type: 'compare', operator, left, right: parseOperand() };
+        }
+        return left;
+    };
+
+    const parseOperand = () => {
+        const token = tokens[index++];
+        if (!token) {
+            throw new SyntaxError('Unexpected end of expression');
+        }
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === '-' && typeof peek()?.value === 'number' && peek().type === 'literal') {
+            return { type: 'literal', value: -tokens[index++].value };
+        }
+        if (token.type === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            const path = [token.value];
+            while (peek()?.type === '.' || peek()?.type === '[') {
+                if (tokens[index++].type === '.') {
+                    path.push(expect('name', 'a property name').value);
+                } else {
+                    const key = expect('literal', 'a string or number key').value;
+                    if (typeof key !== 'string' && typeof key !== 'number') {
+                        throw new SyntaxError(`Expected a string or number key, found ${describe(tokens[index - 1])}`);
+                    }
+                    path.push(key);
+                    expect(']');
+                }
+            }
+            return { type: 'variable', path };
+        }
+        throw new SyntaxError(`Unexpected ${describe(token)}`);
+    };
+
+    if (tokens.length === 0) {
+        throw new SyntaxError('Empty expression');
+    }
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new SyntaxError(`Unexpected ${describe(tokens[index])}`);
+    }
+    return tree;
+}
+
+function lookup(path, variables) {
+    // `vars` reaches variables whose names aren't identifiers
+    const [name, ...keys] = path;
+    let value;
+    if (Object.hasOwn(variables, name)) {
+        value = variables[name];
+    } else if (name === 'vars') {
+        value = variables;
+    } else {
+        throw new ReferenceError(`${name} is not defined`);
+    }
+
+    let described = name;
+    for (const key of keys) {
+        if (value === null || value === undefined) {
+            throw new TypeError(`Cannot read "${key}" of ${described} (${value})`);
+        }
+        value = Object.hasOwn(Object(value), key) ? value[key] : undefined;
+        described += typeof key === 'number' ? `[${key}]` : `.${key}`;
+    }
+    return value;
+}
+
+function compare(operator, left, right) {
+    switch (operator) {
+        // Loose equality as in JavaScript, so "3" == 3 like the expressions
+        // models write expect
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+}
+
+function evaluate(node, variables) {
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'variable': return lookup(node.path, variables);
+        case 'not': return !evaluate(node.operand, variables);
+        case 'and': return Boolean(evaluate(node.left, variables)) && Boolean(evaluate(node.right, variables));
+        case 'or': return Boolean(evaluate(node.left, variables)) || Boolean(evaluate(node.right, variables));
+        default: return compare(node.operator, evaluate(node.left, variables), evaluate(node.right, variables));
+    }
+}
+
+// Evaluate a decision expression against the variables.
+// Returns { value } or { error }.
+export function evaluateExpression(expressionText, variables) {
+    if (!expressionText.trim()) {
+        return { error: 'Empty expression' };
+    }
+    try {
+        return { value: Boolean(evaluate(parseExpression(expressionText), variables)) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
@@ -0,0 +1,206 @@
+// Converts a gpt-wave workflow (an array of user_interaction, api_call and
+// decision nodes, where decisions nest if_block/else_block arrays) into
+// ReactFlow nodes and edges with a layered layout.
+//
+// The wave is a structured flow - sequences and if/else blocks - so it is laid
+// out recursively: every block gets a bounding box, branches sit side by side
+// under their decision, and both branches merge back into the node that
+// follows the decision. Boxes never overlap, so neither do nodes.
+import { getExpressionText } from './waveSimulator';
+
+export const NODE_WIDTH = 300;
+export const NODE_HEIGHT = 100;
+const RANK_GAP = 70;
+const BREADTH_GAP = 40;
+// Room reserved for an empty branch so its edge doesn't cut through the other one
+const EMPTY_BRANCH_BREADTH = 80;
+
+export const EDGE_COLORS = {
+    yes: '#22c55e',
+    no: '#ef4444',
+    default: '#64748b'
+};
+
+// Number of nodes nested under a decision, used for the collapsed badge
+export function countDescendants(node) {
+    if (node?.type !== 'decision') return 0;
+    return [...(node.if_block || []), ...(node.else_block || [])]
+        .reduce((count, child) => count + 1 + countDescendants(child), 0);
+}
+
+// Ids of every decision node in the wave, for expand/collapse all
+export function collectDecisionIds(wave) {
+    const ids = [];
+    const visit = (nodeList) => (nodeList || []).forEach(node => {
+        if (node?.type === 'decision' && node.id) {
+            ids.push(node.id);
+            visit(node.if_block);
+            visit(node.else_block);
+        }
+    });
+    visit(wave);
+    return ids;
+}
+
+// Parse wave array and convert to ReactFlow nodes and edges.
+// direction: 'TB' (top-down) or 'LR' (left-right)
+// collapsed: Set of decision ids whose branches are hidden
+export function parseWaveToGraph(wave, { direction = 'TB', collapsed = new Set() } = {}) {
+    if (!wave || !Array.isArray(wave) || wave.length === 0) {
+        return { nodes: [], edges: [] };
+    }
+
+    const horizontal = direction === 'LR';
+    // Extent of a node along the breadth (across the flow) and rank (along the flow) axes
+    const nodeBreadth = horizontal ? NODE_HEIGHT : NODE_WIDTH;
+    const nodeRank = horizontal ? NODE_WIDTH : NODE_HEIGHT;
+
+    const nodes = [];
+    const edges = [];
+
+    // Nodes without an id or type, and repeats of an id already used, can't be
+    // drawn; they are skipped here and reported by the validator instead
+    const drawable = new Set();
+    const usedIds = new Set();
+    const markDrawable = (nodeList) => (Array.isArray(nodeList) ? nodeList : []).forEach(node => {
+        if (!node || !node.id || !node.type || usedIds.has(node.id)) return;
+        usedIds.add(node.id);
+        drawable.add(node);
+        markDrawable(node.if_block);
+        markDrawable(node.else_block);
+    });
+    markDrawable(wave);
+    const validNodes = (nodeList) => (Array.isArray(nodeList) ? nodeList : []).filter(node => drawable.has(node));
+
+    const addEdge = (source, target, label = '') => {
+        const color = label === 'Yes' ? EDGE_COLORS.yes : label === 'No' ? EDGE_COLORS.no : EDGE_COLORS.default;
+        edges.push({
+            // Both branches of a decision can lead straight to the same node
+            id: label ? `${source}-${target}-${label}` : `${source}-${target}`,
+            source,
+            target,
+            label,
+            animated: true,
+            style: { stroke: color },
+        });
+    };
+
+    // Connect every dangling exit of the previous block to the next node
+    const connect = (exits, targetId) => {
+        exits.forEach(exit => addEdge(exit.id, targetId, exit.label));
+    };
+
+    // Measure a block without placing it: returns { breadth, rank }
+    const measureSequence = (nodeList) => {
+        let breadth = 0;
+        let rank = 0;
+        validNodes(nodeList).forEach((node, index) => {
+            const size = measureNode(node);
+            breadth = Math.max(breadth, size.breadth);
+            rank += size.rank + (index > 0 ? RANK_GAP : 0);
+        });
+        return { breadth, rank };
+    };
+
+    const measureBranch = (nodeList) => {
+        const size = measureSequence(nodeList);
+        return size.rank === 0 ? { breadth: EMPTY_BRANCH_BREADTH, rank: 0 } : size;
+    };
+
+    const measureNode = (node) => {
+        if (node.type !== 'decision' || collapsed.has(node.id)) {
+            return { breadth: nodeBreadth, rank: nodeRank };
+        }
+        const ifSize = measureBranch(node.if_block);
+        const elseSize = measureBranch(node.else_block);
+        const branchRank = Math.max(ifSize.rank, elseSize.rank);
+        return {
+            breadth: Math.max(nodeBreadth, ifSize.breadth + BREADTH_GAP + elseSize.breadth),
+            rank: nodeRank + (branchRank > 0 ? RANK_GAP + branchRank : 0)
+        };
+    };
+
+    const place = (node, breadthPos, rankPos) => {
+        nodes.push({
+            id: node.id,
+            type: node.type,
+            position: horizontal ? { x: rankPos, y: breadthPos } : { x: breadthPos, y: rankPos },
+            targetPosition: horizontal ? 'left' : 'top',
+            sourcePosition: horizontal ? 'right' : 'bottom',
+            data: {
+                node,
+                collapsed: collapsed.has(node.id),
+                hiddenCount: collapsed.has(node.id) ? countDescendants(node) : 0
+            },
+        });
+    };
+
+    // Lay out a sequence inside the box starting at (breadthStart, rankStart) with the given breadth.
+    // `entries` are the exits of whatever precedes the block; returns the block's own exits.
+    const layoutSequence = (nodeList, breadthStart, rankStart, breadth, entries) => {
+        let exits = entries;
+        let rankPos = rankStart;
+
+        validNodes(nodeList).forEach(node => {
+            const size = measureNode(node);
+            const nodeStart = breadthStart + (breadth - size.breadth) / 2;
+            exits = layoutNode(node, nodeStart, rankPos, size, exits);
+            rankPos += size.rank + RANK_GAP;
+        });
+
+        return exits;
+    };
+
+    const layoutNode = (node, breadthStart, rankStart, size, entries) => {
+        // Decision sits centered above its branches
+        place(node, breadthStart + (size.breadth - nodeBreadth) / 2, rankStart);
+        connect(entries, node.id);
+
+        // An ended node terminates the flow: nothing continues from it
+        if (node.type !== 'decision' || collapsed.has(node.id)) {
+            return node.ended ? [] : [{ id: node.id }];
+        }
+
+        const ifSize = measureBranch(node.if_block);
+        const elseSize = measureBranch(node.else_block);
+        const branchesBreadth = ifSize.breadth + BREADTH_GAP + elseSize.breadth;
+        const branchStart = breadthStart + (size.breadth - branchesBreadth) / 2;
+        const branchRank = rankStart + nodeRank + RANK_GAP;
+
+        // If-block on the left (top in LR), else-block on the right (bottom in LR).
+        // An empty branch leaves the decision itself as the exit, labelled with the branch.
+        const ifExits = layoutSequence(node.if_block, branchStart, branchRank, ifSize.breadth, [{ id: node.id, label: 'Yes' }]);
+        const elseExits = layoutSequence(
+            node.else_block,
+            branchStart + ifSize.breadth + BREADTH_GAP,
+            branchRank,
+            elseSize.breadth,
+            [{ id: node.id, label: 'No' }]
+        );
+
+        // An ended decision still runs its branches, but the flow stops after them
+        return node.ended ? [] : [...ifExits, ...elseExits];
+    };
+
+    const { breadth } = measureSequence(wave);
+    layoutSequence(wave, 0, 0, breadth, []);
+
+    return { nodes, edges };
+}
+
+// One-line summary of a wave node: its prompt, API name or expression
+export function describeNode(node) {
+    if (!node) return '';
+    switch (node.type) {
+        case 'user_interaction': {
+            const prompt = node.prompt?.['en-US'];
+            return (Array.isArray(prompt) ? prompt[0] : prompt) || 'User input required';
+        }
+        case 'api_call':
+            return node.api_name || 'API Request';
+        case 'decision':
+            return getExpressionText(node) || 'Conditional';
+        default:
+            return node.type;
+    }
+}
@@ -0,0 +1,29 @@
+// Reading wave JSON handed over outside the chat (files, pasted text).
+// Accepts a bare wave array, or a backend response that wraps it as
+// { wave } or { data: { wave } }.
+export function parseWaveJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const wave = Array.isArray(parsed) ? parsed : (parsed?.wave ?? parsed?.data?.wave);
+    if (!Array.isArray(wave)) {
+        throw new Error('Expected a wave array, or an object with a "wave" array');
+    }
+    if (wave.length === 0) {
+        throw new Error('The wave has no nodes');
+    }
+    return wave;
+}
+
+export async function readWaveFile(file) {
+    return parseWaveJson(await file.text());
+}
+
+// Label for a wave loaded from a file: its name without the extension
+export function fileLabel(file) {
+    return file.name.replace(/\.json$/i, '') || 'Imported';
+}
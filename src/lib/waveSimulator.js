@@ -0,0 +1,139 @@
+// Step-through interpreter for gpt-wave workflows.
+//
+// A simulation is a plain immutable object so it can live in React state:
+//   frames    - call stack of { nodes, index, endAfter } blocks being walked
+//   current   - the node waiting for input (null once finished)
+//   variables - values collected from user input and mocked API responses
+//   path      - ids of every node visited, in order
+//   log       - human readable trace of what happened
+//
+// Each node type waits for one kind of action: user_interaction for the
+// user's input, api_call for a mocked response and decision for the branch
+// to take (usually the result of evaluating its expression).
+
+// Where a node's result is stored in the variables panel
+export function getOutputVariable(node) {
+    return node.output_variable || node.variable || node.save_as || node.id;
+}
+
+// Expression text for the simulator: en-US first, then any other locale
+export function getExpressionText(node) {
+    const expression = node.expression;
+    if (!expression) return '';
+    if (typeof expression === 'string') return expression;
+    return expression['en-US'] || Object.values(expression)[0] || '';
+}
+
+// Move to the next node to run, unwinding finished blocks
+function settle(simulation) {
+    const frames = simulation.frames.map(frame => ({ ...frame }));
+
+    while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const node = frame.nodes[frame.index];
+
+        if (!node) {
+            frames.pop();
+            // A block under an ended decision stops the whole flow
+            if (frame.endAfter) {
+                return finish({ ...simulation, frames: [] }, 'Reached an ended decision');
+            }
+            continue;
+        }
+        if (!node.id || !node.type) {
+            frame.index++;
+            continue;
+        }
+
+        return {
+            ...simulation,
+            frames,
+            current: node,
+            path: [...simulation.path, node.id]
+        };
+    }
+
+    return finish({ ...simulation, frames }, 'Reached the end of the workflow');
+}
+
+function finish(simulation, message) {
+    return {
+        ...simulation,
+        current: null,
+        finished: true,
+        log: [...simulation.log, { type: 'end', message }]
+    };
+}
+
+// Advance past the current node once its action is done
+function next(simulation, logEntry, variables = simulation.variables) {
+    const node = simulation.current;
+    const frames = simulation.frames.map(frame => ({ ...frame }));
+    frames[frames.length - 1].index++;
+
+    const updated = { ...simulation, frames, variables, log: [...simulation.log, logEntry] };
+    if (node.ended) {
+        return finish({ ...updated, frames: [] }, `Ended at ${node.id}`);
+    }
+    return settle(updated);
+}
+
+export function createSimulation(wave, variables = {}) {
+    return settle({
+        frames: [{ nodes: Array.isArray(wave) ? wave : [], index: 0 }],
+        current: null,
+        finished: false,
+        variables,
+        path: [],
+        log: []
+    });
+}
+
+// Answer a user_interaction node
+export function submitInput(simulation, input) {
+    const node = simulation.current;
+    const key = getOutputVariable(node);
+    return next(
+        simulation,
+        { type: 'input', nodeId: node.id, message: `${key} = ${JSON.stringify(input)}` },
+        { ...simulation.variables, [key]: input }
+    );
+}
+
+// Provide the mocked response for an api_call node
+export function submitApiResponse(simulation, response) {
+    const node = simulation.current;
+    const key = getOutputVariable(node);
+    return next(
+        simulation,
+        { type: 'api', nodeId: node.id, message: `${node.api_name || 'API'} → ${key}` },
+        { ...simulation.variables, [key]: response }
+    );
+}
+
+// Take the if (true) or else (false) branch of a decision node
+export function takeBranch(simulation, branch) {
+    const node = simulation.current;
+    const block = (branch ? node.if_block : node.else_block) || [];
+    const frames = simulation.frames.map(frame => ({ ...frame }));
+    frames[frames.length - 1].index++;
+    // An ended decision finishes the flow once the chosen branch completes
+    frames.push({ nodes: block, index: 0, endAfter: Boolean(node.ended) });
+
+    return settle({
+        ...simulation,
+        frames,
+        log: [...simulation.log, { type: 'decision', nodeId: node.id, message: `${node.id}: ${branch ? 'Yes' : 'No'} branch` }]
+    });
+}
+
+// Skip a node the simulator can't run (e.g. an unknown type)
+export function skipNode(simulation) {
+    const node = simulation.current;
+    return next(simulation, { type: 'skip', nodeId: node.id, message: `Skipped ${node.id}` });
+}
+
+// Replace the variables (edited in the variables panel)
+export function setVariables(simulation, variables) {
+    return { ...simulation, variables };
+}
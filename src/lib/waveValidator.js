@@ -0,0 +1,149 @@
+// Static checks for gpt-wave workflows. Produces a flat list of diagnostics:
+//   { severity: 'error' | 'warning', message, nodeId, path }
+// where `path` locates the node in the wave, e.g. "[2].if_block[0]".
+import { getExpressionText } from './waveSimulator';
+import { parseExpression } from './waveExpression';
+
+export const NODE_TYPES = ['user_interaction', 'api_call', 'decision'];
+
+// Every locale used by any prompt in the wave
+function collectLocales(wave) {
+    const locales = new Set();
+    const visit = (nodeList) => (Array.isArray(nodeList) ? nodeList : []).forEach(node => {
+        if (!node || typeof node !== 'object') return;
+        if (node.prompt && typeof node.prompt === 'object' && !Array.isArray(node.prompt)) {
+            Object.keys(node.prompt).forEach(locale => locales.add(locale));
+        }
+        visit(node.if_block);
+        visit(node.else_block);
+    });
+    visit(wave);
+    return locales;
+}
+
+function isBlank(value) {
+    if (Array.isArray(value)) return value.every(isBlank);
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+export function validateWave(wave) {
+    const diagnostics = [];
+
+    if (!Array.isArray(wave)) {
+        return [{ severity: 'error', message: 'Workflow must be an array of nodes', nodeId: null, path: '' }];
+    }
+    if (wave.length === 0) {
+        return [{ severity: 'warning', message: 'Workflow is empty', nodeId: null, path: '' }];
+    }
+
+    const report = (severity, message, node, path) => {
+        diagnostics.push({ severity, message, nodeId: node?.id || null, path });
+    };
+
+    const allLocales = collectLocales(wave);
+    const seenIds = new Map();
+
+    const checkLocales = (node, path) => {
+        const missing = [...allLocales].filter(locale => isBlank(node.prompt[locale]));
+        if (missing.length > 0) {
+            report('warning', `Prompt is missing locales: ${missing.join(', ')}`, node, path);
+        }
+    };
+
+    const checkNode = (node, path) => {
+        if (!node || typeof node !== 'object') {
+            report('error', 'Node is not an object', null, path);
+            return false;
+        }
+        if (!node.id) {
+            report('error', 'Node has no id', null, path);
+        } else if (seenIds.has(node.id)) {
+            report('error', `Duplicate node id "${node.id}" (first used at ${seenIds.get(node.id)})`, node, path);
+        } else {
+            seenIds.set(node.id, path);
+        }
+        if (!node.type) {
+            report('error', 'Node has no type', node, path);
+            return Boolean(node.ended);
+        }
+        if (!NODE_TYPES.includes(node.type)) {
+            report('error', `Unknown node type "${node.type}"`, node, path);
+            return Boolean(node.ended);
+        }
+
+        switch (node.type) {
+            case 'user_interaction':
+                if (!node.prompt || typeof node.prompt !== 'object' || Object.keys(node.prompt).length === 0) {
+                    report('error', 'User interaction has no prompt', node, path);
+                } else {
+                    checkLocales(node, path);
+                }
+                break;
+            case 'api_call':
+                if (!node.api_name) {
+                    report('error', 'API call has no api_name', node, path);
+                }
+                break;
+            case 'decision': {
+                const expression = getExpressionText(node);
+                if (!expression.trim()) {
+                    report('error', 'Decision has no expression', node, path);
+                } else {
+                    try {
+                        parseExpression(expression);
+                    } catch (error) {
+                        report('error', `Malformed expression: ${error.message}`, node, path);
+                    }
+                }
+                if (!node.if_block?.length) {
+                    report('warning', 'Decision has an empty Yes branch', node, path);
+                }
+                if (!node.else_block?.length) {
+                    report('warning', 'Decision has an empty No branch', node, path);
+                }
+                const ifEnds = checkSequence(node.if_block, `${path}.if_block`);
+                const elseEnds = checkSequence(node.else_block, `${path}.else_block`);
+                // When every branch ends, nothing after the decision can run
+                return Boolean(node.ended) || (ifEnds && elseEnds);
+            }
+        }
+        return Boolean(node.ended);
+    };
+
+    const checkSequence = (nodeList, basePath) => {
+        if (nodeList !== undefined && !Array.isArray(nodeList)) {
+            report('error', 'Branch must be an array of nodes', null, basePath);
+            return false;
+        }
+        // Returns true when every path through the sequence reaches an ended node
+        let endedAt = null;
+        (nodeList || []).forEach((node, index) => {
+            const path = `${basePath}[${index}]`;
+            if (endedAt) {
+                report('warning', `Unreachable: follows ended node "${endedAt}"`, node, path);
+            }
+            if (checkNode(node, path) && !endedAt) {
+                endedAt = node.id || path;
+            }
+        });
+        return endedAt !== null;
+    };
+
+    checkSequence(wave, '');
+    return diagnostics;
+}
+
+// Highest severity per node id, for badges on the graph
+export function summarizeByNode(diagnostics) {
+    const byNode = {};
+    diagnostics.forEach(diagnostic => {
+        if (!diagnostic.nodeId) return;
+        const entry = byNode[diagnostic.nodeId] || { severity: 'warning', count: 0 };
+        entry.count++;
+        if (diagnostic.severity === 'error') {
+            entry.severity = 'error';
+        }
+        byNode[diagnostic.nodeId] = entry;
+    });
+    return byNode;
+}
@@ -1,36 +1,601 @@
-// Mock API service for AI agent interactions
-// This will be replaced with real API calls once the backend is available
+// API service for AI agent interactions. Requests go to the backend, or to
+// the fixture-backed mock transport when Settings → Backend mode is 'mock'
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { estimateTokens } from '../lib/tokens';
+import { attachmentToBase64, attachmentToBlob } from '../lib/attachments';
+import { getSettings, getCustomHeaders, resolveApiUrl } from './settings';
+import { mockFetch, recordChatFixture, recordModelsFixture } from './mockBackend';
+import { NetworkError, TimeoutError, ParseError, createHttpError, parseJson, isRetryableStatus } from './apiErrors';
+import { normalizeModel } from '../lib/models';
+import { readUsage, estimateUsage } from '../lib/usage';
+import { toRequestTools, readToolCalls, mergeToolCallDeltas, toHistoryMessages } from '../lib/tools';
+import { maskHeaders } from '../lib/secretHeaders';
+
+// Resolves after `ms`, or rejects with an AbortError once `signal` aborts
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const handleAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    if (signal?.aborted) {
+        handleAbort();
+        return;
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+// Backoff between retries: 1s, 2s, 4s... with jitter, unless the backend
+// says when to come back with Retry-After (seconds or an HTTP date)
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const getRetryDelay = (response, attempt) => {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+        const ms = /^\d+$/.test(retryAfter.trim())
+            ? Number(retryAfter) * 1000
+            : new Date(retryAfter).getTime() - Date.now();
+        if (Number.isFinite(ms) && ms >= 0) {
+            return Math.min(ms, MAX_RETRY_DELAY_MS);
+        }
+    }
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    return Math.min(backoff + Math.random() * 250, MAX_RETRY_DELAY_MS);
+};
+
+// What was actually sent and received, kept on the message for the network
+// inspector:
+//   { request: { method, url, headers, body, form }, mock,
+//     response: { status, statusText, headers, body, streamed },
+//     timing: { startedAt, headersMs, firstChunkMs, totalMs } }
+// Bodies are cut short so base64 attachments don't bloat saved conversations,
+// and credential headers are masked (see lib/secretHeaders.js).
+const MAX_INSPECTED_BODY_CHARS = 100000;
+
+const truncateBody = (text) => (
+    text.length > MAX_INSPECTED_BODY_CHARS
+        ? `${text.slice(0, MAX_INSPECTED_BODY_CHARS)}\n… (${(text.length - MAX_INSPECTED_BODY_CHARS).toLocaleString()} more characters)`
+        : text
+);
+
+const describeRequest = (method, url, headers, body) => ({
+    method,
+    url,
+    headers: maskHeaders(headers),
+    body: typeof body === 'string' ? truncateBody(body) : null,
+    // Multipart fields; files are described rather than copied
+    form: body instanceof FormData
+        ? [...body.entries()].map(([name, value]) => (typeof value === 'string'
+            ? { name, value: truncateBody(value) }
+            : { name, fileName: value.name, size: value.size, type: value.type }))
+        : null
+});
+
+const elapsed = (exchange) => Date.now() - exchange.timing.startedAt;
+
+// Stamp the end of an exchange; the body so far is kept if a stream broke off
+const finishExchange = (exchange, body) => {
+    if (exchange.response && body !== undefined) {
+        exchange.response.body = truncateBody(body);
+    }
+    exchange.timing.totalMs = elapsed(exchange);
+    return exchange;
+};
+
+// Failed requests keep what was exchanged so far for the inspector
+const attachExchange = (error, exchange) => {
+    if (exchange.timing) {
+        error.network = exchange.timing.totalMs === null ? finishExchange(exchange) : exchange;
+        error.attempts = exchange.attempts;
+    }
+    return error;
+};
+
+// Read a whole response body as text, keeping it for the inspector
+const readBody = async (response, exchange) => {
+    const text = await response.text();
+    finishExchange(exchange, text);
+    return text;
+};
+
+// One fetch() against the configured backend (or the mock transport) with the
+// user's extra headers. Pass an empty `exchange` object to have the request
+// and response headers recorded into it.
+// The timeout and the caller's signal cover waiting for the response headers;
+// streams apply them to every chunk themselves (see readChunk).
+const fetchOnce = async (path, { headers, signal, exchange, ...init }, settings) => {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const handleAbort = () => controller.abort();
+    if (signal?.aborted) {
+        controller.abort();
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    const timer = settings.timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, settings.timeoutMs)
+        : null;
 
-export const sendMessage = async (message, model) => {
     try {
-        const response = await fetch('/api/azure/chat', {
+        const request = {
+            ...init,
+            headers: { ...getCustomHeaders(settings), ...headers },
+            signal: controller.signal
+        };
+        if (exchange) {
+            exchange.request = describeRequest(init.method || 'GET', resolveApiUrl(path, settings), request.headers, init.body);
+            exchange.mock = settings.backendMode === 'mock';
+            exchange.response = null;
+            exchange.timing = { startedAt: Date.now(), headersMs: null, firstChunkMs: null, totalMs: null };
+        }
+
+        const response = settings.backendMode === 'mock'
+            ? await mockFetch(path, request)
+            : await fetch(resolveApiUrl(path, settings), request);
+
+        if (exchange) {
+            exchange.response = {
+                status: response.status,
+                statusText: response.statusText,
+                headers: maskHeaders(Object.fromEntries(response.headers.entries())),
+                body: '',
+                streamed: false
+            };
+            exchange.timing.headersMs = elapsed(exchange);
+        }
+        return response;
+    } catch (error) {
+        if (timedOut) {
+            throw new TimeoutError(settings.timeoutMs);
+        }
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        throw new NetworkError(`Could not reach ${resolveApiUrl(path, settings) || 'the backend'}`, { cause: error, detail: error.message });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+    }
+};
+
+// reader.read() that gives up once `signal` aborts or no chunk arrives within
+// `stallMs`, cancelling the stream either way
+const readChunk = (reader, signal, stallMs) => new Promise((resolve, reject) => {
+    const stop = (error) => {
+        cleanup();
+        reader.cancel().catch(() => {});
+        reject(error);
+    };
+    const handleAbort = () => stop(new DOMException('The operation was aborted.', 'AbortError'));
+    const timer = stallMs > 0 ? setTimeout(() => stop(new TimeoutError(stallMs)), stallMs) : null;
+    const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+    };
+    if (signal?.aborted) {
+        handleAbort();
+        return;
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    reader.read().then(
+        result => {
+            cleanup();
+            resolve(result);
+        },
+        error => {
+            cleanup();
+            reject(error);
+        }
+    );
+});
+
+// fetchOnce, retried with backoff while the backend answers 429 or 5xx (up to
+// the maxRetries setting). onRetry({ attempt, maxAttempts, status, delayMs })
+// is called before each wait. The last response is returned whatever its
+// status; callers turn it into an HttpError.
+const apiFetch = async (path, { onRetry, ...init } = {}) => {
+    const settings = getSettings();
+    const maxAttempts = 1 + Math.max(0, settings.maxRetries ?? 0);
+
+    for (let attempt = 1; ; attempt++) {
+        const response = await fetchOnce(path, init, settings);
+        if (init.exchange) {
+            init.exchange.attempts = attempt;
+        }
+        if (!isRetryableStatus(response.status) || attempt >= maxAttempts) {
+            return response;
+        }
+
+        response.body?.cancel().catch(() => {});
+        const delayMs = getRetryDelay(response, attempt);
+        onRetry?.({ attempt: attempt + 1, maxAttempts, status: response.status, delayMs });
+        await delay(delayMs, init.signal);
+    }
+};
+
+// A compare turn is sent as its first column with an answer; without one, the
+// compare prompt is left out too so two user turns never follow each other
+const comparisonAnswer = (msg) => {
+    const column = msg.comparison.find(col => col.content && !col.error);
+    return { role: 'assistant', content: column?.content || '' };
+};
+
+// Keep the most recent turns that fit both the message and token budgets. An
+// answer with tool calls stays together with its tool results.
+const selectHistory = (history, { maxHistoryMessages, maxHistoryTokens }) => {
+    const selected = [];
+    let turns = 0;
+    let tokens = 0;
+    let skipComparePrompt = false;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].compareModels && skipComparePrompt) {
+            skipComparePrompt = false;
+            continue;
+        }
+        const msg = history[i].comparison ? comparisonAnswer(history[i]) : history[i];
+        skipComparePrompt = Boolean(history[i].comparison) && !msg.content;
+        if ((!msg.content && !msg.toolCalls) || msg.error || (msg.role !== 'user' && msg.role !== 'assistant')) {
+            continue;
+        }
+        if (maxHistoryMessages && turns >= maxHistoryMessages) {
+            break;
+        }
+        const entries = toHistoryMessages(msg);
+        const msgTokens = entries.reduce((sum, entry) => sum + estimateTokens(entry.content), 0);
+        if (maxHistoryTokens && tokens + msgTokens > maxHistoryTokens) {
+            break;
+        }
+        turns += 1;
+        tokens += msgTokens;
+        selected.unshift(...entries);
+    }
+
+    return selected;
+};
+
+// In record mode, keep a successful response as a fixture for the mock
+// backend. Recording is best effort and never fails the request.
+const recordResponse = (record) => {
+    if (getSettings().backendMode !== 'record') return;
+    record().catch(error => console.error('Error recording fixture:', error));
+};
+
+// Chat answers are matched by their prompt, so continuations after tool
+// results (null) and attachment-only prompts (blank) aren't recorded
+const recordChatResponse = (fixture) => {
+    if (!fixture.message?.trim()) return;
+    recordResponse(() => recordChatFixture(fixture));
+};
+
+// Generation parameters (temperature, max_tokens, top_p...) are sent as
+// top-level fields; blank values are left out so the backend defaults apply
+const cleanParameters = (parameters = {}) => Object.fromEntries(
+    Object.entries(parameters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// History options, per-model parameters and tools come from the settings
+// panel; explicit options (e.g. a project's system prompt and parameters) win.
+// A null message continues the thread after tool results, with no new prompt.
+// A `responseSchema` ({ name, schema }) asks for structured output through
+// an OpenAI-style json_schema response_format.
+export const buildChatRequestBody = (message, model, options = {}) => {
+    const settings = getSettings();
+    const { history = [], parameters, responseSchema, ...rest } = options;
+    const chatOptions = {
+        historyMode: settings.historyMode,
+        maxHistoryMessages: settings.maxHistoryMessages,
+        maxHistoryTokens: settings.maxHistoryTokens,
+        systemPrompt: '',
+        ...rest
+    };
+    const generationParameters = cleanParameters({ ...settings.modelParameters[model], ...parameters });
+    const tools = toRequestTools(settings.tools);
+    if (tools.length > 0) {
+        generationParameters.tools = tools;
+    }
+    if (responseSchema) {
+        generationParameters.response_format = {
+            type: 'json_schema',
+            json_schema: { name: responseSchema.name, schema: responseSchema.schema }
+        };
+    }
+
+    // Tool results can only be sent back as history, so continuations always
+    // use the conversation format
+    if (chatOptions.historyMode === 'single' && message !== null) {
+        return { model, message, ...generationParameters };
+    }
+
+    const messages = [];
+    if (chatOptions.systemPrompt?.trim()) {
+        messages.push({ role: 'system', content: chatOptions.systemPrompt });
+    }
+    messages.push(...selectHistory(history, chatOptions));
+    if (message === null) {
+        return { model, messages, ...generationParameters };
+    }
+    messages.push({ role: 'user', content: message });
+
+    // `message` is kept alongside `messages` so older handlers still find the prompt
+    return { model, message, messages, ...generationParameters };
+};
+
+// Encode a chat request body, with any attachments, for fetch. Depending on
+// the attachmentMode setting, attachments go as multipart form data (the JSON
+// body in a `payload` field plus one `files` part each) or as base64 parts
+// in an `attachments` array of the JSON body.
+const encodeChatRequest = (body, attachments = []) => {
+    if (attachments.length === 0) {
+        return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+    }
+
+    if (getSettings().attachmentMode === 'multipart') {
+        const form = new FormData();
+        form.append('payload', JSON.stringify(body));
+        attachments.forEach(attachment => form.append('files', attachmentToBlob(attachment), attachment.name));
+        // fetch sets the multipart Content-Type with its boundary
+        return { headers: {}, body: form };
+    }
+
+    return {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...body,
+            attachments: attachments.map(attachment => ({
+                name: attachment.name,
+                mime_type: attachment.mimeType,
+                size: attachment.size,
+                data: attachmentToBase64(attachment)
+            }))
+        })
+    };
+};
+
+// The result carries the raw exchange as `network`, token `usage` as reported
+// by the backend or estimated (see lib/usage.js) and any `toolCalls` (see
+// lib/tools.js); errors carry the exchange too. Failures throw the typed
+// errors from apiErrors.js, after any retries of 429/5xx answers (see apiFetch).
+export const sendMessage = async (message, model, { attachments, onRetry, signal, ...options } = {}) => {
+    const exchange = {};
+    try {
+        const body = buildChatRequestBody(message, model, options);
+        const request = encodeChatRequest(body, attachments);
+        const response = await apiFetch('/api/azure/chat', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: model,
-                message: message
-            })
+            headers: request.headers,
+            body: request.body,
+            signal,
+            onRetry,
+            exchange
         });
+        const text = await readBody(response, exchange);
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw createHttpError(response, text);
         }
 
-        const data = await response.json();
+        const data = parseJson(text);
+        recordChatResponse({
+            model,
+            message,
+            content: data.response,
+            workflow: data.wave,
+            toolCalls: readToolCalls(data),
+            usage: readUsage(data)
+        });
 
         return {
             role: 'assistant',
-            content: data.response,
-            workflow: data.wave || null  // Extract workflow data if present
+            content: data.response ?? '',
+            workflow: data.wave || null,  // Extract workflow data if present
+            toolCalls: readToolCalls(data),
+            usage: readUsage(data) || estimateUsage(body, data.response),
+            network: exchange
         };
     } catch (error) {
         console.error('Error in sendMessage:', error);
-        throw error;
+        throw attachExchange(error, exchange);
+    }
+};
+
+// Pull the text delta (and optional wave) out of a single streamed payload.
+// Supports our backend's { delta } / { response, wave } shapes as well as
+// OpenAI-style { choices: [{ delta: { content } }] } chunks and raw text.
+const parseStreamPayload = (payload) => {
+    try {
+        const data = JSON.parse(payload);
+        if (typeof data === 'string') {
+            return { delta: data };
+        }
+        return {
+            delta: data.delta ?? data.token ?? data.content ?? data.choices?.[0]?.delta?.content ?? '',
+            response: data.response,
+            wave: data.wave,
+            toolCalls: readToolCalls(data),
+            toolCallDeltas: data.choices?.[0]?.delta?.tool_calls,
+            // OpenAI sends usage on the last chunk when asked with stream_options
+            usage: readUsage(data)
+        };
+    } catch {
+        return { delta: payload };
+    }
+};
+
+// Streaming variant of sendMessage. Reads Server-Sent Events or chunked NDJSON
+// from the chat endpoint and reports the accumulated content through onUpdate.
+// Falls back to the regular JSON body when the backend doesn't stream.
+// Pass an AbortSignal to cancel; the fetch then rejects with an AbortError.
+// Attachments are encoded as in sendMessage; remaining options (history,
+// systemPrompt...) go to buildChatRequestBody. Like sendMessage, the result
+// has `usage` and `toolCalls`, the result and any error carry the raw exchange
+// as `network`, and errors are typed.
+export const streamMessage = async (message, model, options = {}) => {
+    const exchange = {};
+    try {
+        return await streamChat(message, model, options, exchange);
+    } catch (error) {
+        throw attachExchange(error, exchange);
+    }
+};
+
+const streamChat = async (message, model, { onUpdate, onRetry, signal, attachments, ...options }, exchange) => {
+    const body = buildChatRequestBody(message, model, options);
+    const request = encodeChatRequest({ ...body, stream: true }, attachments);
+    const response = await apiFetch('/api/azure/chat', {
+        method: 'POST',
+        headers: {
+            ...request.headers,
+            'Accept': 'text/event-stream, application/x-ndjson, application/json'
+        },
+        body: request.body,
+        signal,
+        onRetry,
+        exchange
+    });
+
+    if (!response.ok) {
+        throw createHttpError(response, await readBody(response, exchange));
     }
+
+    const contentType = response.headers.get('Content-Type') || '';
+
+    // Backend answered with a plain JSON body - nothing to stream
+    if (contentType.includes('application/json') || !response.body) {
+        const data = parseJson(await readBody(response, exchange));
+        onUpdate?.(data.response ?? '');
+        recordChatResponse({
+            model,
+            message,
+            content: data.response,
+            workflow: data.wave,
+            toolCalls: readToolCalls(data),
+            usage: readUsage(data)
+        });
+        return {
+            role: 'assistant',
+            content: data.response ?? '',
+            workflow: data.wave || null,
+            toolCalls: readToolCalls(data),
+            usage: readUsage(data) || estimateUsage(body, data.response),
+            network: exchange
+        };
+    }
+
+    const isEventStream = contentType.includes('text/event-stream');
+    const { timeoutMs } = getSettings();
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventData = [];
+    let content = '';
+    let workflow = null;
+    let usage = null;
+    let toolCalls = null;
+    let finished = false;
+
+    const handlePayload = (payload) => {
+        if (payload === '[DONE]') {
+            finished = true;
+            return;
+        }
+        const { delta, response: fullResponse, wave, usage: reportedUsage, toolCalls: calls, toolCallDeltas } = parseStreamPayload(payload);
+        if (typeof fullResponse === 'string') {
+            content = fullResponse;
+        } else if (delta) {
+            content += delta;
+        }
+        if (wave) {
+            workflow = wave;
+        }
+        if (reportedUsage) {
+            usage = reportedUsage;
+        }
+        if (calls) {
+            toolCalls = calls;
+        } else if (Array.isArray(toolCallDeltas)) {
+            toolCalls = mergeToolCallDeltas(toolCalls || [], toolCallDeltas);
+        }
+        onUpdate?.(content);
+    };
+
+    const handleLine = (line) => {
+        if (!isEventStream) {
+            if (line.trim()) {
+                handlePayload(line);
+            }
+            return;
+        }
+        // SSE: collect data lines until a blank line terminates the event
+        if (line === '') {
+            if (eventData.length > 0) {
+                handlePayload(eventData.join('\n'));
+                eventData = [];
+            }
+        } else if (line.startsWith('data:')) {
+            eventData.push(line.slice(5).replace(/^ /, ''));
+        }
+    };
+
+    // The raw stream text, as the inspector shows it
+    let raw = '';
+    exchange.response.streamed = true;
+
+    try {
+        while (!finished) {
+            const { done, value } = await readChunk(reader, signal, timeoutMs).catch(error => {
+                throw error.name === 'AbortError' || error instanceof TimeoutError
+                    ? error
+                    : new NetworkError('The connection closed before the answer finished', { cause: error, detail: error.message });
+            });
+            if (done) {
+                break;
+            }
+            const chunk = decoder.decode(value, { stream: true });
+            if (!raw) {
+                exchange.timing.firstChunkMs = elapsed(exchange);
+            }
+            raw += chunk;
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(line => !finished && handleLine(line));
+        }
+
+        if (finished) {
+            reader.cancel();
+        } else {
+            // Flush whatever is left once the stream closes
+            const rest = decoder.decode();
+            raw += rest;
+            buffer += rest;
+            if (buffer) {
+                handleLine(buffer);
+            }
+            handleLine('');
+        }
+    } finally {
+        finishExchange(exchange, raw);
+    }
+
+    recordChatResponse({ model, message, content, workflow, toolCalls, usage });
+
+    return {
+        role: 'assistant',
+        content,
+        workflow,
+        toolCalls,
+        usage: usage || estimateUsage(body, content),
+        network: exchange
+    };
 };
 
 // Future integration point for real API - keeping for backward compatibility if needed, 
@@ -39,23 +604,29 @@ export const connectToAgentAPI = async (apiUrl, message) => {
     return sendMessage(message, 'default-model');
 };
 
+// The model catalog as normalized descriptors (see lib/models.js). The backend
+// may return plain ids (["gpt-4", "gpt-3.5"]) or richer objects. Throws the
+// typed errors from apiErrors.js so the selector can show what went wrong.
+export const fetchModels = async () => {
+    const response = await apiFetch('/api/azure/models');
+    const text = await response.text();
+    if (!response.ok) {
+        throw createHttpError(response, text);
+    }
+    const data = parseJson(text);
+    if (!Array.isArray(data)) {
+        throw new ParseError('Expected a list of models', { detail: text.trim().slice(0, 500) });
+    }
+    recordResponse(() => recordModelsFixture(data));
+    return data.map(normalizeModel);
+};
+
+// fetchModels for places that can do without: an empty list on failure
 export const getModels = async () => {
     try {
-        const response = await fetch('/api/azure/models');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        // The backend returns an array of strings e.g. ["gpt-4", "gpt-3.5"]
-        // We need to map this to objects for the UI
-        return data.map(model => ({
-            id: model,
-            name: model
-        }));
+        return await fetchModels();
     } catch (error) {
         console.error('Error fetching models:', error);
-        // Fallback to empty array or rethrow depending on desired behavior
-        // For now, returning empty array to prevent UI crash
         return [];
     }
 };
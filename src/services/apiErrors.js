@@ -0,0 +1,82 @@
+// Typed errors thrown by agentApi. Each has a `kind` the UI can switch on:
+//   network - the backend could not be reached, or the connection dropped
+//   http    - the backend answered with an error status (`status`, `detail`)
+//   timeout - no response within the configured timeout (`timeoutMs`)
+//   parse   - the response body was not the JSON we expected (`detail`)
+// Errors are saved with the message as plain objects, see toErrorInfo().
+
+export class ApiError extends Error {
+    kind = 'unknown';
+
+    constructor(message, { cause, detail = null } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.detail = detail;
+    }
+}
+
+export class NetworkError extends ApiError {
+    kind = 'network';
+}
+
+export class HttpError extends ApiError {
+    kind = 'http';
+
+    constructor(status, statusText, detail) {
+        super(`HTTP ${status}${statusText ? ` ${statusText}` : ''}`, { detail });
+        this.status = status;
+    }
+}
+
+export class TimeoutError extends ApiError {
+    kind = 'timeout';
+
+    constructor(timeoutMs) {
+        super(`No response after ${timeoutMs / 1000}s`);
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class ParseError extends ApiError {
+    kind = 'parse';
+}
+
+// Rate limits and server errors are worth another try; client errors are not
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// The useful part of an error body: Azure's { error: { message } }, other
+// common { error | message | detail } shapes, or the start of the raw text
+const extractErrorDetail = (text) => {
+    if (!text?.trim()) return null;
+    try {
+        const data = JSON.parse(text);
+        const detail = data.error?.message ?? data.error ?? data.message ?? data.detail;
+        if (detail) {
+            return typeof detail === 'string' ? detail : JSON.stringify(detail);
+        }
+    } catch {
+        // Not JSON, fall through to the raw text
+    }
+    return text.trim().slice(0, 500);
+};
+
+export const createHttpError = (response, bodyText) => (
+    new HttpError(response.status, response.statusText, extractErrorDetail(bodyText))
+);
+
+export const parseJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ParseError('The response is not valid JSON', { cause: error, detail: text.trim().slice(0, 500) || 'Empty body' });
+    }
+};
+
+// Serializable summary of any error, for storing on a message
+export const toErrorInfo = (error) => ({
+    kind: error.kind || 'unknown',
+    message: error.message,
+    status: error.status ?? null,
+    detail: error.detail ?? null,
+    attempts: error.attempts ?? 1
+});
@@ -0,0 +1,97 @@
+// Persists chat threads (messages, selected model and attached wave workflow)
+// in IndexedDB so they survive reloads and dev-server hot reloads.
+import { getAll, getById, put, remove } from './db';
+
+const STORE = 'conversations';
+const ACTIVE_CONVERSATION_KEY = 'activeConversationId';
+const TITLE_LENGTH = 50;
+
+// Derive a thread title from the first prompt
+export const deriveTitle = (content) => {
+    const firstLine = (content || '').trim().split('\n')[0];
+    if (!firstLine) return 'New conversation';
+    return firstLine.length > TITLE_LENGTH ? firstLine.slice(0, TITLE_LENGTH) + '…' : firstLine;
+};
+
+// Most recently updated first
+export const listConversations = async () => {
+    const conversations = await getAll(STORE);
+    return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getConversation = (id) => getById(STORE, id);
+
+// An answer still streaming when the thread is saved is stored as stopped,
+// which is how it ends up if the page reloads or the user switches away
+const settleStreaming = (item) => (item.streaming ? { ...item, streaming: false, stopped: true, retrying: null } : item);
+
+// The stored record for an open thread: the conversation's own fields plus
+// its messages, branches, wave and model
+export const toConversationRecord = (conversation, { messages, ...thread }) => ({
+    ...conversation,
+    ...thread,
+    messages: messages.map(msg => settleStreaming(msg.comparison ? { ...msg, comparison: msg.comparison.map(settleStreaming) } : msg)),
+    updatedAt: messages.findLast(msg => msg.createdAt)?.createdAt || conversation.createdAt
+});
+
+export const saveConversation = (conversation) => put(STORE, conversation);
+
+export const deleteConversation = (id) => remove(STORE, id);
+
+export const renameConversation = async (id, title) => {
+    const conversation = await getConversation(id);
+    if (!conversation) return null;
+    const renamed = { ...conversation, title };
+    await saveConversation(renamed);
+    return renamed;
+};
+
+// Case-insensitive match on the title and message contents
+export const searchConversations = (conversations, query) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return conversations;
+    return conversations.filter(conversation =>
+        conversation.title?.toLowerCase().includes(needle) ||
+        conversation.messages?.some(msg => typeof msg.content === 'string' && msg.content.toLowerCase().includes(needle))
+    );
+};
+
+// Every prompt sent, newest first, across the saved conversations. The open
+// thread is passed separately because its latest turns may not be saved yet.
+// Entries: { id, content, model, createdAt, conversationId, conversationTitle }
+export const collectPrompts = (conversations, openConversation = null) => {
+    const threads = openConversation
+        ? [openConversation, ...conversations.filter(conversation => conversation.id !== openConversation.id)]
+        : conversations;
+    const seen = new Set();
+    const prompts = [];
+
+    threads.forEach(conversation => (conversation.messages || []).forEach(msg => {
+        if (msg.role !== 'user' || !msg.content?.trim()) return;
+        if (msg.id) {
+            if (seen.has(msg.id)) return;
+            seen.add(msg.id);
+        }
+        prompts.push({
+            id: msg.id,
+            content: msg.content,
+            model: msg.model || null,
+            createdAt: msg.createdAt || conversation.createdAt,
+            conversationId: conversation.id,
+            conversationTitle: conversation.title
+        });
+    }));
+
+    return prompts.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+};
+
+// The open thread is remembered in localStorage so a reload reopens it
+export const getActiveConversationId = () => localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+
+export const setActiveConversationId = (id) => {
+    if (id) {
+        localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+    } else {
+        localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+    }
+};
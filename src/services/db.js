@@ -0,0 +1,61 @@
+// Thin promise wrapper around the browser's IndexedDB.
+// Each object store is keyed by `id`; bump DB_VERSION when adding a store.
+
+const DB_NAME = 'agent-api-playground';
+const DB_VERSION = 3;
+
+const STORES = {
+    conversations: { indexes: ['updatedAt'] },
+    projects: { indexes: ['updatedAt'] },
+    fixtures: { indexes: ['recordedAt'] }
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, { indexes }]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath: 'id' });
+                        indexes.forEach(index => store.createIndex(index, index));
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            // Allow a later call to retry opening the database
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+// Run a single request against an object store and resolve with its result
+// once the transaction has committed.
+const withStore = async (storeName, mode, callback) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const getById = (storeName, id) => withStore(storeName, 'readonly', store => store.get(id));
+
+export const put = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+
+export const remove = (storeName, id) => withStore(storeName, 'readwrite', store => store.delete(id));
+
+export const clear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
@@ -0,0 +1,216 @@
+// Offline backend: a fetch-compatible transport that answers the chat and
+// models endpoints from fixtures, so the UI works without the Java backend.
+//
+// Fixtures are JSON files in src/fixtures (one fixture or an array per file)
+// plus anything captured in record mode, which is kept in IndexedDB:
+//   chat:   { id, match?, prompt?, model?, tool?, response, wave?, usage?, tool_calls? }
+//   models: { id, kind: 'models', models: ['gpt-4', { id, provider, ... }] }
+// A chat fixture answers a prompt equal to `prompt` (ignoring case and
+// whitespace) or matching the `match` regex, optionally only for `model`.
+// A chat fixture with neither is the fallback. Fixtures with `tool_calls` are
+// only used when the request offers those tools; a fixture with `tool`
+// answers the continuation after that tool's result, with {{result}} in its
+// response replaced by the result.
+import { getAll, put, clear } from './db';
+import { createId } from '../lib/utils';
+
+const STORE = 'fixtures';
+
+// Pause before the response headers and between streamed chunks, so loading
+// states behave as they do against a real backend
+const RESPONSE_DELAY_MS = 300;
+const CHUNK_DELAY_MS = 30;
+
+const BUILT_IN_FIXTURES = Object.values(
+    import.meta.glob('../fixtures/*.json', { eager: true, import: 'default' })
+).flat();
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+    }
+    const handleAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+const normalize = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const matchesPattern = (pattern, message) => {
+    try {
+        return new RegExp(pattern, 'i').test(message);
+    } catch {
+        return false;
+    }
+};
+
+// Recorded fixtures first, newest first, so a fresh recording wins
+const loadFixtures = async () => {
+    const recorded = await listRecordedFixtures().catch(() => []);
+    return [...recorded, ...BUILT_IN_FIXTURES];
+};
+
+const calledToolName = (call) => call.function?.name ?? call.name;
+
+const findChatFixture = (fixtures, request) => {
+    const message = request.message || '';
+    const offeredTools = (request.tools || []).map(tool => tool.function?.name);
+    const lastMessage = request.messages?.at(-1);
+    const toolResult = lastMessage?.role === 'tool' ? lastMessage : null;
+
+    const candidates = fixtures.filter(fixture =>
+        (fixture.kind || 'chat') === 'chat' &&
+        (!fixture.model || fixture.model === request.model) &&
+        (!fixture.tool_calls || fixture.tool_calls.every(call => offeredTools.includes(calledToolName(call)))) &&
+        (!fixture.tool || fixture.tool === toolResult?.name)
+    );
+    if (toolResult) {
+        const fixture = candidates.find(candidate => candidate.tool);
+        if (fixture) {
+            return { ...fixture, response: fixture.response.replaceAll('{{result}}', toolResult.content) };
+        }
+    }
+    return (
+        candidates.find(fixture => typeof fixture.prompt === 'string' && normalize(fixture.prompt) === normalize(message)) ||
+        candidates.find(fixture => fixture.match && matchesPattern(fixture.match, message)) ||
+        candidates.find(fixture => fixture.prompt === undefined && !fixture.match) ||
+        null
+    );
+};
+
+// Models may be plain ids or descriptor objects; the first fixture to list
+// an id wins
+const findModels = (fixtures) => {
+    const models = new Map();
+    fixtures
+        .filter(fixture => fixture.kind === 'models')
+        .flatMap(fixture => fixture.models)
+        .forEach(model => {
+            const id = typeof model === 'string' ? model : model.id;
+            if (!models.has(id)) {
+                models.set(id, model);
+            }
+        });
+    return [...models.values()];
+};
+
+// The chat body as built by agentApi: JSON, or multipart with a `payload` field
+const readRequestBody = (body) => {
+    try {
+        if (body instanceof FormData) {
+            return JSON.parse(body.get('payload'));
+        }
+        return JSON.parse(body);
+    } catch {
+        return {};
+    }
+};
+
+const jsonResponse = (data, status = 200) => new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+// Server-Sent Events in the backend's format: { delta } chunks, then the full
+// { response, wave, usage, tool_calls } and [DONE]. Without `usage` in the fixture the
+// UI estimates token counts, as it does for backends that don't report them.
+const streamResponse = (fixture, signal) => {
+    const encoder = new TextEncoder();
+    const chunks = fixture.response.match(/\S+\s*|\s+/g) || [];
+    const events = [
+        ...chunks.map(delta => ({ delta })),
+        { response: fixture.response, wave: fixture.wave || null, usage: fixture.usage, tool_calls: fixture.tool_calls }
+    ];
+    let index = 0;
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            if (index === events.length) {
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+                return;
+            }
+            try {
+                await wait(CHUNK_DELAY_MS, signal);
+            } catch (error) {
+                controller.error(error);
+                return;
+            }
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(events[index++])}\n\n`));
+        }
+    });
+
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+// Drop-in for fetch(), called with the API path rather than a full URL
+export const mockFetch = async (path, { body, signal } = {}) => {
+    await wait(RESPONSE_DELAY_MS, signal);
+    const fixtures = await loadFixtures();
+
+    if (path === '/api/azure/models') {
+        return jsonResponse(findModels(fixtures));
+    }
+
+    if (path === '/api/azure/chat') {
+        const request = readRequestBody(body);
+        const fixture = findChatFixture(fixtures, request);
+        if (!fixture) {
+            return jsonResponse({ error: 'No fixture matches this prompt' }, 404);
+        }
+        if (request.stream) {
+            return streamResponse(fixture, signal);
+        }
+        return jsonResponse({ response: fixture.response, wave: fixture.wave || null, usage: fixture.usage, tool_calls: fixture.tool_calls });
+    }
+
+    return jsonResponse({ error: `No mock for ${path}` }, 404);
+};
+
+// Record mode
+
+export const listRecordedFixtures = async () => {
+    const fixtures = await getAll(STORE);
+    return fixtures.sort((a, b) => b.recordedAt - a.recordedAt);
+};
+
+export const clearRecordedFixtures = () => clear(STORE);
+
+// One fixture per prompt and model; recording the same prompt again replaces it.
+// Tool calls and usage (only when the backend reported it) are stored in the
+// backend's own format so the answer replays the same way.
+export const recordChatFixture = async ({ model, message, content, workflow, toolCalls, usage }) => {
+    const recorded = await listRecordedFixtures();
+    const existing = recorded.find(fixture =>
+        fixture.kind === 'chat' && fixture.model === model && normalize(fixture.prompt) === normalize(message)
+    );
+    return put(STORE, {
+        id: existing?.id || createId(),
+        kind: 'chat',
+        model,
+        prompt: message,
+        response: content ?? '',
+        wave: workflow || null,
+        ...(toolCalls && {
+            tool_calls: toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+        }),
+        ...(usage && !usage.estimated && {
+            usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, total_tokens: usage.totalTokens }
+        }),
+        recordedAt: Date.now()
+    });
+};
+
+export const recordModelsFixture = (models) => put(STORE, {
+    id: 'models',
+    kind: 'models',
+    models,
+    recordedAt: Date.now()
+});
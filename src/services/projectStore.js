@@ -0,0 +1,50 @@
+// Projects group conversations under shared defaults: a system prompt,
+// default model, request parameters and pinned reference snippets.
+import { getAll, getById, put, remove } from './db';
+
+const STORE = 'projects';
+
+export const createProject = (fields = {}) => ({
+    name: 'Untitled project',
+    systemPrompt: '',
+    defaultModelId: null,
+    parameters: {},
+    snippets: [],
+    ...fields,
+    createdAt: fields.createdAt || Date.now(),
+    updatedAt: Date.now()
+});
+
+export const listProjects = async () => {
+    const projects = await getAll(STORE);
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const getProject = (id) => getById(STORE, id);
+
+export const saveProject = (project) => put(STORE, { ...project, updatedAt: Date.now() });
+
+export const deleteProject = (id) => remove(STORE, id);
+
+// Fold the project's system prompt and pinned snippets into the chat options
+// every conversation in the project is sent with
+export const getProjectChatOptions = (project) => {
+    if (!project) return {};
+
+    const sections = [];
+    if (project.systemPrompt?.trim()) {
+        sections.push(project.systemPrompt.trim());
+    }
+    const snippets = (project.snippets || []).filter(snippet => snippet.content?.trim());
+    if (snippets.length > 0) {
+        sections.push(
+            'Reference snippets:\n\n' +
+            snippets.map(snippet => `### ${snippet.title || 'Snippet'}\n${snippet.content.trim()}`).join('\n\n')
+        );
+    }
+
+    return {
+        systemPrompt: sections.join('\n\n'),
+        parameters: project.parameters || {}
+    };
+};
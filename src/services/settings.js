@@ -0,0 +1,91 @@
+// User settings for talking to the backend, kept in localStorage so they apply
+// immediately (no Vite restart) and survive reloads.
+const SETTINGS_KEY = 'playgroundSettings';
+
+export const DEFAULT_SETTINGS = {
+    // 'live' calls the backend, 'mock' answers from fixtures (see
+    // mockBackend.js) and 'record' calls the backend and saves its answers
+    // as fixtures
+    backendMode: 'live',
+    // Empty means same origin, i.e. through the Vite `/api` proxy
+    baseUrl: '',
+    // [{ id, name, value }] added to every request, e.g. API keys
+    headers: [],
+    timeoutMs: 60000,
+    // Extra attempts, with backoff, when the backend answers 429 or 5xx
+    maxRetries: 2,
+    // How much of the conversation is sent along with each prompt.
+    // 'conversation' posts prior turns as a messages array; 'single' keeps the
+    // original { model, message } body for backends that don't accept history.
+    historyMode: 'conversation',
+    maxHistoryMessages: 20,
+    maxHistoryTokens: 4000,
+    // How file attachments are sent: 'multipart' posts form data with the
+    // JSON body in a `payload` field; 'base64' inlines them in the JSON body
+    attachmentMode: 'multipart',
+    // { [modelId]: { temperature, max_tokens, top_p } }
+    modelParameters: {},
+    // Tool definitions sent with every chat request while enabled, see
+    // lib/tools.js. The sample starts disabled.
+    tools: [
+        {
+            id: 'get_weather',
+            name: 'get_weather',
+            description: 'Current weather for a city',
+            parameters: JSON.stringify({
+                type: 'object',
+                properties: {
+                    city: { type: 'string', description: 'City name, e.g. Paris' },
+                    unit: { type: 'string', enum: ['celsius', 'fahrenheit'] }
+                },
+                required: ['city']
+            }, null, 2),
+            mock: JSON.stringify({ city: 'Paris', temperature: 18, unit: 'celsius', conditions: 'Partly cloudy' }, null, 2),
+            enabled: false
+        }
+    ],
+    // Answer tool calls with each tool's mock result and continue on its own
+    autoRespondTools: false,
+    // [{ id, model, input, output }] in USD per million prompt and completion
+    // tokens, for cost estimates. Starts from public list prices; edit them
+    // to match your contract.
+    modelPrices: [
+        { id: 'gpt-4', model: 'gpt-4', input: 30, output: 60 },
+        { id: 'gpt-35-turbo', model: 'gpt-35-turbo', input: 0.5, output: 1.5 },
+        { id: 'claude-3-5-sonnet', model: 'claude-3-5-sonnet', input: 3, output: 15 },
+        { id: 'gemini-1.5-pro', model: 'gemini-1.5-pro', input: 1.25, output: 5 }
+    ]
+};
+
+let cachedSettings = null;
+
+export const getSettings = () => {
+    if (!cachedSettings) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            cachedSettings = { ...DEFAULT_SETTINGS, ...stored };
+        } catch (error) {
+            console.error('Error reading settings:', error);
+            cachedSettings = { ...DEFAULT_SETTINGS };
+        }
+    }
+    return cachedSettings;
+};
+
+export const saveSettings = (settings) => {
+    cachedSettings = { ...DEFAULT_SETTINGS, ...settings };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(cachedSettings));
+    return cachedSettings;
+};
+
+// Header rows with a name, as a plain object for fetch
+export const getCustomHeaders = (settings = getSettings()) => Object.fromEntries(
+    settings.headers
+        .filter(header => header.name?.trim())
+        .map(header => [header.name.trim(), header.value ?? ''])
+);
+
+export const resolveApiUrl = (path, settings = getSettings()) => {
+    const baseUrl = settings.baseUrl.trim().replace(/\/+$/, '');
+    return baseUrl + path;
+};